@@ -16,6 +16,7 @@ import {
   startPitchDetection,
   stopPitchDetection,
   INTERVAL_NAMES,
+  INTERVALS,
 } from "../shared/audio.js";
 
 import {
@@ -36,6 +37,13 @@ const DIFFICULTY_POOLS = {
   easy: [0, 3, 4, 7, 12],                         // Unison, m3, M3, P5, Octave
   medium: [0, 1, 2, 3, 4, 5, 7, 8, 9, 12],        // + m2, M2, P4, m6, M6
   hard: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], // All intervals
+  // Quality-aware names and compound intervals up to two octaves, one
+  // name per size (answers are checked by size, so A4 and d5 would both
+  // be right for the same question)
+  expert: [
+    "m2", "M2", "m3", "M3", "P4", "A4", "P5", "m6", "M6", "m7", "M7", "P8",
+    "m9", "M9", "m10", "M10", "P11", "A11", "P12", "M13", "P15",
+  ],
 };
 
 const POINTS_CORRECT = 100;
@@ -258,13 +266,27 @@ function nextQuestion() {
   playCurrentInterval();
 }
 
+/**
+ * Pool entries are semitone counts or interval abbreviations ("A4", "m9").
+ * Answers are checked by size, since enharmonic names (A4/d5) sound the same.
+ */
+function getPool(difficulty) {
+  return DIFFICULTY_POOLS[difficulty].map((entry) => {
+    if (typeof entry === "number") {
+      return { semitones: entry, name: getIntervalName(entry) };
+    }
+    const interval = INTERVALS.find((i) => i.short === entry);
+    return { semitones: interval.semitones, name: interval.name };
+  });
+}
+
 function generateQuestion(difficulty, rootNote) {
-  const pool = DIFFICULTY_POOLS[difficulty];
-  const semitones = pool[Math.floor(Math.random() * pool.length)];
+  const pool = getPool(difficulty);
+  const { semitones, name } = pool[Math.floor(Math.random() * pool.length)];
   return {
     root: rootNote,
     semitones,
-    intervalName: getIntervalName(semitones),
+    intervalName: name,
   };
 }
 
@@ -373,13 +395,13 @@ function endTest() {
 /* ---------------------------------------------------------- */
 
 function buildAnswerButtons() {
-  const pool = DIFFICULTY_POOLS[state.difficulty];
+  const pool = getPool(state.difficulty);
   els.answerGrid.innerHTML = "";
 
-  pool.forEach((semitones, i) => {
+  pool.forEach(({ semitones, name }, i) => {
     const btn = document.createElement("button");
     btn.className = "btn btn--secondary harmony-answer-btn";
-    btn.textContent = getIntervalName(semitones);
+    btn.textContent = name;
     btn.dataset.semitones = semitones;
     btn.addEventListener("click", () => checkAnswer(semitones));
 
@@ -453,9 +475,9 @@ function handleKeydown(e) {
   // Number keys 1-9 for answer selection
   const num = parseInt(e.key, 10);
   if (num >= 1 && num <= 9 && !state.answered) {
-    const pool = DIFFICULTY_POOLS[state.difficulty];
+    const pool = getPool(state.difficulty);
     if (num <= pool.length) {
-      checkAnswer(pool[num - 1]);
+      checkAnswer(pool[num - 1].semitones);
     }
     return;
   }
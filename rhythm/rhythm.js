@@ -13,6 +13,11 @@ import {
   savePreference,
   getPreference,
 } from "../shared/progress.js";
+import { bindProfileSelect, getActiveProfile } from "../shared/profiles.js";
+import { emitGameEvent, GAME_EVENTS } from "../shared/events.js";
+import { initAchievements } from "../shared/achievements.js";
+import { recordSession } from "../shared/ai.js";
+import { renderGoalReminder } from "../shared/goals.js";
 
 /* ---------------------------------------------------------- */
 /*  Constants                                                 */
@@ -77,6 +82,7 @@ const state = {
   metronomeTimerId: null,
 
   // Beat tracking
+  startedAt: 0,         // Date.now() when Start was pressed
   startTime: 0,
   beatIndex: 0,
   totalBeatsExpected: 0,
@@ -123,7 +129,7 @@ const screens = {
 };
 
 const els = {
-  playerName: $("player-name"),
+  selectProfile: $("select-profile"),
   gameMode: $("game-mode"),
   difficulty: $("difficulty"),
   timeSigNum: $("time-sig-num"),
@@ -135,6 +141,7 @@ const els = {
   tapFeedback: $("tap-feedback"),
   btnStart: $("btn-start"),
   setupLeaderboard: $("setup-leaderboard"),
+  goalReminder: $("goal-reminder"),
 
   // Game screen
   ekgCanvas: $("ekg-canvas"),
@@ -160,14 +167,17 @@ const els = {
 
 function init() {
   loadPreferences();
+  initAchievements();
   renderLeaderboard(els.setupLeaderboard, GAME_ID);
+  renderGoalReminder(els.goalReminder);
   bindEvents();
   syncBpmControls();
   showScreen("setup");
 }
 
 function loadPreferences() {
-  els.playerName.value = getPreference("rhythm_playerName", "Player");
+  // Switching player reloads so every module picks up that profile's data
+  bindProfileSelect(els.selectProfile, () => location.reload());
   els.difficulty.value = getPreference("rhythm_difficulty", "medium");
   els.gameMode.value = getPreference("rhythm_mode", "practice");
   els.bpmSlider.value = getPreference("rhythm_bpm", 90);
@@ -177,7 +187,6 @@ function loadPreferences() {
 }
 
 function saveCurrentPreferences() {
-  savePreference("rhythm_playerName", els.playerName.value);
   savePreference("rhythm_difficulty", els.difficulty.value);
   savePreference("rhythm_mode", els.gameMode.value);
   savePreference("rhythm_bpm", parseInt(els.bpmSlider.value, 10));
@@ -285,7 +294,7 @@ function handleTapIn() {
 async function handleStart() {
   saveCurrentPreferences();
 
-  state.playerName = els.playerName.value.trim() || "Player";
+  state.playerName = getActiveProfile().name;
   state.difficulty = els.difficulty.value;
   state.bpm = parseInt(els.bpmSlider.value, 10);
   state.beatsPerMeasure = parseInt(els.timeSigNum.value, 10);
@@ -304,6 +313,7 @@ async function handleStart() {
   }
 
   // Reset game state
+  state.startedAt = Date.now();
   state.score = 0;
   state.streak = 0;
   state.bestStreak = 0;
@@ -354,14 +364,17 @@ function handleStop() {
   if (state.mode === "test" && state.totalBeatsPlayed > 0) {
     showResults();
   } else {
+    if (state.totalBeatsPlayed > 0) saveSession(getAccuracy());
     showScreen("setup");
     renderLeaderboard(els.setupLeaderboard, GAME_ID);
+    renderGoalReminder(els.goalReminder);
   }
 }
 
 function handlePlayAgain() {
   showScreen("setup");
   renderLeaderboard(els.setupLeaderboard, GAME_ID);
+  renderGoalReminder(els.goalReminder);
 }
 
 function stopGame() {
@@ -380,10 +393,29 @@ function stopGame() {
   stopMic();
 }
 
-function showResults() {
-  const accuracy = state.totalBeatsPlayed > 0
+function getAccuracy() {
+  return state.totalBeatsPlayed > 0
     ? Math.round((state.correctCount / state.totalBeatsPlayed) * 100)
     : 0;
+}
+
+/** Report the session to ai.js (counts toward daily practice goals). */
+function saveSession(accuracy) {
+  recordSession(GAME_ID, {
+    mode: state.mode,
+    difficulty: state.difficulty,
+    score: state.score,
+    accuracy,
+    bpm: state.bpm,
+    bestStreak: state.bestStreak,
+    questions: state.totalBeatsPlayed,
+    duration: Date.now() - state.startedAt,
+  });
+}
+
+function showResults() {
+  const accuracy = getAccuracy();
+  saveSession(accuracy);
 
   const finalScore = state.score;
 
@@ -647,6 +679,10 @@ function registerClap(clapTime) {
     delta,
     rating,
   });
+  emitGameEvent(GAME_EVENTS.ANSWER, {
+    game: GAME_ID, skill: "beat-timing", hit: rating === "hit",
+    context: { difficulty: state.difficulty, bpm: state.bpm },
+  });
 
   updateGameStats();
 }
@@ -657,6 +693,10 @@ function checkMissedBeat(beatIdx) {
     state.missedBeats.push(beatIdx);
     state.streak = 0;
     flashBeatLight("var(--color-error)");
+    emitGameEvent(GAME_EVENTS.ANSWER, {
+      game: GAME_ID, skill: "beat-timing", hit: false,
+      context: { difficulty: state.difficulty, bpm: state.bpm },
+    });
     updateGameStats();
   }
 }
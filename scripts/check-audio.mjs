@@ -0,0 +1,241 @@
+/**
+ * Music Theory Games — Offline Audio Checks
+ * scripts/check-audio.mjs
+ *
+ * Quick checks for the parts of the audio stack that run without a
+ * browser (Node 18+, no dependencies):
+ *
+ *   - shared/pitch.js: synthetic sines and harmonic tones come back at
+ *     the right pitch and clarity for each detector; noise and silence
+ *     do not; the streaming analyser agrees with detectPitch().
+ *   - shared/audio.js renderEvents(): every instrument renders exactly
+ *     last note end + release + tail seconds, notes are scheduled where
+ *     asked, and repeat renders come from the cache.
+ *
+ * Tone.js needs a real AudioContext, so renderEvents() runs against a
+ * stand-in `Tone` that records what would be rendered.
+ *
+ * Usage:
+ *   node scripts/check-audio.mjs     # exits 1 if any check fails
+ */
+
+import { detectPitch, createFrameAnalyser, PITCH_ALGORITHMS } from "../shared/pitch.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const SAMPLE_RATES = [44100, 48000];
+const FRAME_SIZE = 4096;
+const TEST_FREQUENCIES = [82.41, 110, 196, 261.63, 440, 659.26, 987.77, 1318.51];
+
+// Largest error allowed on a clean tone, in cents, and the clarity it must reach
+// (the legacy autocorrelation detector trims edges, so it is looser)
+const MAX_CENTS = { yin: 5, mcleod: 5, autocorrelation: 25 };
+const MIN_CLARITY = { yin: 0.9, mcleod: 0.9, autocorrelation: 0.8 };
+const MAX_NOISE_CLARITY = 0.5;
+
+/* ---------------------------------------------------------- */
+/*  Helpers                                                   */
+/* ---------------------------------------------------------- */
+
+let failures = 0;
+let passes = 0;
+
+function check(name, ok, detail = "") {
+  if (ok) {
+    passes++;
+  } else {
+    failures++;
+    console.log(`FAIL  ${name}${detail ? ` — ${detail}` : ""}`);
+  }
+}
+
+/** Sum of sine partials: [[harmonic, amplitude], ...] over the fundamental. */
+function tone(freq, sampleRate, partials = [[1, 0.5]], length = FRAME_SIZE) {
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    for (const [harmonic, amplitude] of partials) {
+      buffer[i] += amplitude * Math.sin(2 * Math.PI * freq * harmonic * i / sampleRate);
+    }
+  }
+  return buffer;
+}
+
+/** Deterministic white noise (mulberry32), so failures reproduce. */
+function noise(length, amplitude, seed = 1) {
+  let a = seed;
+  const buffer = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    buffer[i] = amplitude * ((((t ^ (t >>> 14)) >>> 0) / 4294967296) * 2 - 1);
+  }
+  return buffer;
+}
+
+function centsOff(detected, expected) {
+  return 1200 * Math.log2(detected / expected);
+}
+
+function near(a, b, epsilon = 1e-9) {
+  return Math.abs(a - b) < epsilon;
+}
+
+/* ---------------------------------------------------------- */
+/*  Pitch detection                                           */
+/* ---------------------------------------------------------- */
+
+function checkPitch() {
+  for (const algorithm of PITCH_ALGORITHMS) {
+    for (const sampleRate of SAMPLE_RATES) {
+      for (const freq of TEST_FREQUENCIES) {
+        const label = `${algorithm} ${freq} Hz @ ${sampleRate}`;
+
+        const sine = detectPitch(tone(freq, sampleRate), sampleRate, { algorithm });
+        const cents = centsOff(sine.frequency, freq);
+        check(`${label} sine pitch`, sine.frequency > 0 && Math.abs(cents) <= MAX_CENTS[algorithm],
+          `got ${sine.frequency.toFixed(2)} Hz (${cents.toFixed(1)} cents)`);
+        check(`${label} sine clarity`, sine.clarity >= MIN_CLARITY[algorithm], `got ${sine.clarity.toFixed(3)}`);
+
+        // A voice-like tone with a strong 2nd harmonic must not jump an octave
+        if (algorithm === "autocorrelation") continue;
+        const rich = detectPitch(tone(freq, sampleRate, [[1, 0.3], [2, 0.4], [3, 0.2]]), sampleRate, { algorithm });
+        const richCents = centsOff(rich.frequency, freq);
+        check(`${label} harmonic tone pitch`, rich.frequency > 0 && Math.abs(richCents) <= MAX_CENTS[algorithm],
+          `got ${rich.frequency.toFixed(2)} Hz (${richCents.toFixed(1)} cents)`);
+      }
+
+      const hiss = detectPitch(noise(FRAME_SIZE, 0.3), sampleRate, { algorithm });
+      check(`${algorithm} noise @ ${sampleRate}`, hiss.frequency < 0 || hiss.clarity < MAX_NOISE_CLARITY,
+        `got ${hiss.frequency.toFixed(2)} Hz, clarity ${hiss.clarity.toFixed(3)}`);
+
+      const silence = detectPitch(new Float32Array(FRAME_SIZE), sampleRate, { algorithm });
+      check(`${algorithm} silence @ ${sampleRate}`, silence.frequency === -1 && silence.clarity === 0 && silence.rms === 0);
+
+      const quiet = detectPitch(tone(440, sampleRate, [[1, 0.005]]), sampleRate, { algorithm });
+      check(`${algorithm} below the silence gate @ ${sampleRate}`, quiet.frequency === -1);
+    }
+  }
+}
+
+function checkFrameAnalyser() {
+  const sampleRate = 48000;
+  const hop = 1024;
+  const stream = tone(440, sampleRate, [[1, 0.5]], FRAME_SIZE * 2);
+
+  for (const algorithm of PITCH_ALGORITHMS) {
+    const analyser = createFrameAnalyser(sampleRate, { frameSize: FRAME_SIZE, algorithm });
+    const results = [];
+    for (let offset = 0; offset < stream.length; offset += hop) {
+      results.push(analyser.push(stream.subarray(offset, offset + hop)));
+    }
+
+    const warmUp = FRAME_SIZE / hop - 1;
+    check(`${algorithm} analyser waits for a full window`, results.slice(0, warmUp).every((r) => r === null));
+
+    // The last result must match a direct detection of the latest window
+    const direct = detectPitch(stream.subarray(stream.length - FRAME_SIZE), sampleRate, { algorithm });
+    const last = results[results.length - 1];
+    check(`${algorithm} analyser matches detectPitch`,
+      last && near(last.frequency, direct.frequency, 1e-6) && near(last.clarity, direct.clarity, 1e-6),
+      `got ${last?.frequency}, expected ${direct.frequency}`);
+  }
+
+  const analyser = createFrameAnalyser(sampleRate, { frameSize: FRAME_SIZE, algorithm: "yin" });
+  analyser.push(stream.subarray(0, FRAME_SIZE));
+  analyser.algorithm = "mcleod";
+  const switched = analyser.push(stream.subarray(FRAME_SIZE, FRAME_SIZE + hop));
+  const expected = detectPitch(stream.subarray(hop, FRAME_SIZE + hop), sampleRate, { algorithm: "mcleod" });
+  check("analyser algorithm switch", near(switched.frequency, expected.frequency, 1e-6));
+}
+
+/* ---------------------------------------------------------- */
+/*  Offline rendering                                         */
+/* ---------------------------------------------------------- */
+
+/** Records renders instead of making sound; any Tone class is a no-op node. */
+function installToneStandIn() {
+  const renders = [];
+  let scheduled = null;
+
+  class StandInNode {
+    chain() { return this; }
+    connect() { return this; }
+    toDestination() { return this; }
+    start() { return this; }
+    dispose() {}
+    triggerAttackRelease(freq, duration, time) { scheduled.push({ freq, duration, time }); }
+  }
+
+  const members = {
+    Destination: new StandInNode(),
+    async Offline(callback, duration) {
+      scheduled = [];
+      callback();
+      const render = { duration, notes: scheduled };
+      renders.push(render);
+      return { get: () => render };
+    },
+  };
+  globalThis.Tone = new Proxy(members, {
+    get: (target, key) => (key in target ? target[key] : StandInNode),
+  });
+  return renders;
+}
+
+async function checkRender() {
+  const renders = installToneStandIn();
+  const {
+    renderEvents, clearRenderCache, setInstrument, noteToFrequency, INSTRUMENTS, RENDER_TAIL_S,
+  } = await import("../shared/audio.js");
+  const { getInstrumentPreset } = await import("../shared/instruments.js");
+
+  const melody = [
+    { note: "C4", time: 0, duration: 0.55 },
+    { note: "E4", time: 0.7, duration: 0.55 },
+    { note: 392, time: 1.4, duration: 0.55 },
+  ];
+  const chord = ["C4", "E4", "G4"].map((note) => ({ note, time: 0, duration: 1.2 }));
+
+  for (const name of Object.keys(INSTRUMENTS)) {
+    setInstrument(name);
+    clearRenderCache();
+    const release = getInstrumentPreset(name).options.envelope?.release ?? 1;
+
+    const melodyRender = await renderEvents(melody);
+    check(`${name} melody length`, near(melodyRender.duration, 1.95 + release + RENDER_TAIL_S),
+      `got ${melodyRender.duration}`);
+    check(`${name} melody notes`, melodyRender.notes.length === melody.length &&
+      melody.every((e, i) => {
+        const note = melodyRender.notes[i];
+        const freq = typeof e.note === "number" ? e.note : noteToFrequency(e.note);
+        return near(note.freq, freq) && note.time === e.time && note.duration === e.duration;
+      }));
+
+    const chordRender = await renderEvents(chord);
+    check(`${name} chord length`, near(chordRender.duration, 1.2 + release + RENDER_TAIL_S),
+      `got ${chordRender.duration}`);
+  }
+
+  const before = renders.length;
+  const first = await renderEvents(melody);
+  const again = await renderEvents(melody);
+  check("repeat render is cached", first === again && renders.length === before);
+
+  setInstrument("piano");
+  const otherInstrument = await renderEvents(melody);
+  check("instrument change renders again", otherInstrument !== first && renders.length === before + 1);
+}
+
+/* ---------------------------------------------------------- */
+/*  Run                                                       */
+/* ---------------------------------------------------------- */
+
+checkPitch();
+checkFrameAnalyser();
+await checkRender();
+
+console.log(`${passes} passed, ${failures} failed`);
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,316 @@
+/**
+ * Music Theory Games — AI Tutor Proxy
+ * server/tutor-proxy.mjs
+ *
+ * A small dependency-free Node server (Node 18+) so the AI tutor works
+ * without shipping an API key to kids' browsers:
+ *
+ *   POST /v1/messages          Anthropic Messages API, forwarded with the
+ *                              server's ANTHROPIC_API_KEY (or mocked)
+ *   POST /v1/chat/completions  OpenAI-compatible replies (mock mode only)
+ *   GET  /health               { ok, mock }
+ *   GET  anything else         the game files (except shared/config.js), so a
+ *                              classroom can browse to http://<this machine>:8787/
+ *
+ * Pages only say which tutor prompt they want ("feedback" or "chat") and
+ * send the game context; the server builds the system prompt from
+ * shared/tutor-prompts.js and always uses its own model, so a page cannot
+ * change the tutor's persona or run up costs on a bigger model.
+ *
+ * Usage:
+ *   ANTHROPIC_API_KEY=sk-... node server/tutor-proxy.mjs [--port 8787] [--host 127.0.0.1]
+ *   node server/tutor-proxy.mjs --mock      # canned replies, no key, for tests
+ *
+ * The server listens on 127.0.0.1 unless told otherwise; pass
+ * --host 0.0.0.0 to let a classroom reach it over the LAN.
+ *
+ * Then set TUTOR_PROVIDER = "proxy" and
+ * TUTOR_ENDPOINT = "http://<this machine>:8787/v1/messages" in shared/config.js
+ * (or "openai" with .../v1/chat/completions against the mock).
+ *
+ * Environment: ANTHROPIC_API_KEY, TUTOR_MODEL (default Claude Haiku 4.5),
+ * TUTOR_MAX_TOKENS (cap, default 500), ALLOWED_ORIGIN (one extra origin
+ * allowed to call the tutor, e.g. "https://games.example.org"; pages
+ * served by the proxy itself are always allowed).
+ */
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { extname, join, normalize, resolve, sep } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { buildTutorSystemPrompt } from "../shared/tutor-prompts.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const ANTHROPIC_URL = "https://api.anthropic.com/v1/messages";
+const ANTHROPIC_VERSION = "2023-06-01";
+const DEFAULT_MODEL = "claude-haiku-4-5-20251001";
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_MAX_TOKENS = 500;
+const MAX_BODY_BYTES = 64 * 1024;
+
+const REPO_ROOT = resolve(fileURLToPath(new URL("..", import.meta.url)));
+
+// Never served: may hold a CLAUDE_API_KEY
+const PRIVATE_FILES = new Set(["shared/config.js"]);
+
+const MOCK_REPLY =
+  "Great practice session! You were really focused. " +
+  "Keep working on the tricky ones and you'll have them in no time!";
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".wav": "audio/wav",
+  ".mp3": "audio/mpeg",
+};
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+  sendJSON(res, status, { type: "error", error: { type: "proxy_error", message } });
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(Object.assign(new Error("Request body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function validateMessages(body) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw Object.assign(new Error("messages must be a non-empty array"), { status: 400 });
+  }
+  const wellFormed = body.messages.every((m) =>
+    (m?.role === "user" || m?.role === "assistant") && typeof m.content === "string");
+  if (!wellFormed) {
+    throw Object.assign(new Error("messages must be user/assistant turns with text content"), { status: 400 });
+  }
+}
+
+/** Pages served by this proxy, the configured ALLOWED_ORIGIN, or non-browser clients (no Origin). */
+function isAllowedOrigin(req, options) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  return origin === `http://${req.headers.host}` || origin === options.allowedOrigin;
+}
+
+async function serveStatic(res, staticDir, urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    sendError(res, 400, "Bad request path");
+    return;
+  }
+  const relative = normalize(decoded).replace(/^([/\\])+/, "");
+  let file = join(staticDir, relative);
+  if (file !== staticDir && !file.startsWith(staticDir + sep)) {
+    sendError(res, 403, "Forbidden");
+    return;
+  }
+  if (relative === "" || relative.endsWith("/") || relative.endsWith(sep)) {
+    file = join(file, "index.html");
+  }
+  const parts = relative.split(/[/\\]/);
+  if (parts.some((part) => part.startsWith(".")) || PRIVATE_FILES.has(parts.join("/").toLowerCase())) {
+    sendError(res, 404, "Not found");
+    return;
+  }
+  try {
+    const data = await readFile(file);
+    res.writeHead(200, { "Content-Type": MIME_TYPES[extname(file)] || "application/octet-stream" });
+    res.end(data);
+  } catch {
+    sendError(res, 404, "Not found");
+  }
+}
+
+/* ---------------------------------------------------------- */
+/*  Routes                                                    */
+/* ---------------------------------------------------------- */
+
+async function handleMessages(req, res, options) {
+  const body = await readBody(req);
+  validateMessages(body);
+  const system = buildTutorSystemPrompt(body.prompt, body.context);
+  if (system === null) {
+    sendError(res, 400, "prompt must be \"feedback\" or \"chat\"");
+    return;
+  }
+  const model = options.model;
+  const maxTokens = Math.min(Number(body.max_tokens) || options.maxTokens, options.maxTokens);
+
+  if (options.mock) {
+    sendJSON(res, 200, {
+      id: "msg_mock",
+      type: "message",
+      role: "assistant",
+      model,
+      content: [{ type: "text", text: MOCK_REPLY }],
+      stop_reason: "end_turn",
+      usage: { input_tokens: 0, output_tokens: 0 },
+    });
+    return;
+  }
+
+  if (!options.apiKey) {
+    sendError(res, 503, "The tutor proxy has no ANTHROPIC_API_KEY");
+    return;
+  }
+
+  // Only forward the fields the tutor uses
+  const upstream = await fetch(options.upstream, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": options.apiKey,
+      "anthropic-version": ANTHROPIC_VERSION,
+    },
+    body: JSON.stringify({ model, max_tokens: maxTokens, system, messages: body.messages }),
+  });
+  sendJSON(res, upstream.status, await upstream.json());
+}
+
+async function handleChatCompletions(req, res, options) {
+  if (!options.mock) {
+    sendError(res, 404, "Chat completions are only served in --mock mode");
+    return;
+  }
+  const body = await readBody(req);
+  validateMessages(body);
+  sendJSON(res, 200, {
+    id: "chatcmpl-mock",
+    object: "chat.completion",
+    model: body.model || "mock",
+    choices: [{ index: 0, message: { role: "assistant", content: MOCK_REPLY }, finish_reason: "stop" }],
+  });
+}
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Create the proxy server (not yet listening).
+ *
+ * @param {object}  [options]
+ * @param {boolean} [options.mock=false]       - Answer with canned replies instead of calling Anthropic
+ * @param {string}  [options.apiKey]           - Anthropic key (default: ANTHROPIC_API_KEY)
+ * @param {string}  [options.model]            - Model for every request (default: TUTOR_MODEL, then Claude Haiku 4.5)
+ * @param {number}  [options.maxTokens=500]    - Cap on max_tokens (default: TUTOR_MAX_TOKENS)
+ * @param {string}  [options.allowedOrigin]    - One other origin allowed to call the tutor (default: ALLOWED_ORIGIN)
+ * @param {string|null} [options.staticDir]    - Directory to serve, null for none (default: the repo root)
+ * @param {string}  [options.upstream]         - Messages API URL to forward to
+ * @returns {import("node:http").Server}
+ */
+export function createTutorServer(options = {}) {
+  const env = process.env;
+  const opts = {
+    mock: false,
+    apiKey: env.ANTHROPIC_API_KEY || "",
+    model: env.TUTOR_MODEL || DEFAULT_MODEL,
+    maxTokens: Number(env.TUTOR_MAX_TOKENS) || DEFAULT_MAX_TOKENS,
+    allowedOrigin: env.ALLOWED_ORIGIN || "",
+    staticDir: REPO_ROOT,
+    upstream: ANTHROPIC_URL,
+    ...options,
+  };
+  if (opts.allowedOrigin === "*") {
+    throw new Error('ALLOWED_ORIGIN cannot be "*" — name the origin that serves the games');
+  }
+
+  return createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "POST" || req.method === "OPTIONS") {
+      if (!isAllowedOrigin(req, opts)) {
+        sendError(res, 403, "Origin not allowed");
+        return;
+      }
+      if (req.headers.origin) {
+        res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+        res.setHeader("Vary", "Origin");
+        res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, anthropic-version");
+        res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+      }
+    }
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204);
+        res.end();
+      } else if (req.method === "POST" && pathname === "/v1/messages") {
+        await handleMessages(req, res, opts);
+      } else if (req.method === "POST" && pathname === "/v1/chat/completions") {
+        await handleChatCompletions(req, res, opts);
+      } else if (req.method === "GET" && pathname === "/health") {
+        sendJSON(res, 200, { ok: true, mock: opts.mock });
+      } else if (req.method === "GET" && opts.staticDir) {
+        await serveStatic(res, opts.staticDir, pathname);
+      } else {
+        sendError(res, 404, "Not found");
+      }
+    } catch (err) {
+      if (!res.headersSent) sendError(res, err.status || 502, err.message);
+      else res.end();
+    }
+  });
+}
+
+/* ---------------------------------------------------------- */
+/*  Command line                                              */
+/* ---------------------------------------------------------- */
+
+function parseArgs(argv) {
+  const args = { port: DEFAULT_PORT, host: DEFAULT_HOST, mock: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--mock") args.mock = true;
+    else if (argv[i] === "--port") args.port = Number(argv[++i]);
+    else if (argv[i] === "--host") args.host = argv[++i];
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  return args;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.mock && !process.env.ANTHROPIC_API_KEY) {
+    console.warn("[tutor-proxy] ANTHROPIC_API_KEY is not set — tutor requests will fail (use --mock to test)");
+  }
+  createTutorServer({ mock: args.mock }).listen(args.port, args.host, () => {
+    console.log(`[tutor-proxy] ${args.mock ? "Mock tutor" : "Tutor proxy"} on http://${args.host}:${args.port}`);
+  });
+}
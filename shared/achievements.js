@@ -0,0 +1,259 @@
+/**
+ * Music Theory Games — Achievements
+ * shared/achievements.js
+ *
+ * Awards badges from the events games already produce (see
+ * shared/events.js): answers, streaks, perfect strums, finished tests
+ * and Skratch Studio program runs. Each badge is a rule over a set of
+ * running counters; the counters and earned badges are saved per player
+ * profile through shared/storage.js.
+ *
+ * Call initAchievements() once on any page that plays a game. New
+ * badges pop up as a toast (styles in shared/styles.css).
+ */
+
+import { onGameEvent, GAME_EVENTS } from "./events.js";
+import { profileKey } from "./profiles.js";
+import { getItem, setItem } from "./storage.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const ACHIEVEMENTS_KEY = () => profileKey("mtt_achievements");
+
+// Games whose finished tests count toward "All-Rounder"
+const TEST_GAMES = ["harmony-training", "chords", "scales", "melody", "rhythm", "strumming"];
+
+const TOAST_MS = 4000;
+
+/**
+ * @typedef {Object} Counters
+ * @property {number}   answers       - Questions / notes / strums / claps answered
+ * @property {number}   correct       - ...of which correct
+ * @property {number}   bestStreak    - Longest run of correct answers in one game
+ * @property {number}   perfectStrums - Strums graded "perfect"
+ * @property {number}   tests         - Finished tests
+ * @property {number}   perfectTests  - Finished tests at 100% accuracy
+ * @property {string[]} testGames     - Games with at least one finished test
+ * @property {number}   programs      - Skratch Studio programs run
+ * @property {number}   musicPrograms - ...of which played music
+ */
+
+/**
+ * @typedef {Object} Badge
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string} icon
+ * @property {(c: Counters) => boolean} rule
+ */
+
+/** @type {Badge[]} */
+const BADGES = [
+  { id: "first-correct", icon: "\u{1F3B5}", title: "First Note", description: "Get your first answer right.", rule: (c) => c.correct >= 1 },
+  { id: "correct-100", icon: "\u{1F3B6}", title: "Century", description: "Get 100 answers right.", rule: (c) => c.correct >= 100 },
+  { id: "correct-500", icon: "\u{1F3BC}", title: "Virtuoso", description: "Get 500 answers right.", rule: (c) => c.correct >= 500 },
+  { id: "streak-5", icon: "\u{1F525}", title: "On a Roll", description: "Get 5 right in a row.", rule: (c) => c.bestStreak >= 5 },
+  { id: "streak-10", icon: "\u26A1", title: "Hot Streak", description: "Get 10 right in a row.", rule: (c) => c.bestStreak >= 10 },
+  { id: "streak-25", icon: "\u{1F320}", title: "Unstoppable", description: "Get 25 right in a row.", rule: (c) => c.bestStreak >= 25 },
+  { id: "perfect-strum", icon: "\u{1F3B8}", title: "Perfect Strum", description: "Land a strum right on the beat.", rule: (c) => c.perfectStrums >= 1 },
+  { id: "perfect-strum-50", icon: "\u{1F918}", title: "Strum Machine", description: "Land 50 perfect strums.", rule: (c) => c.perfectStrums >= 50 },
+  { id: "first-test", icon: "\u{1F4DD}", title: "Test Taker", description: "Finish your first test.", rule: (c) => c.tests >= 1 },
+  { id: "perfect-test", icon: "\u{1F3AF}", title: "Flawless", description: "Finish a test with 100% accuracy.", rule: (c) => c.perfectTests >= 1 },
+  { id: "tests-25", icon: "\u{1F3C6}", title: "Dedicated", description: "Finish 25 tests.", rule: (c) => c.tests >= 25 },
+  { id: "all-games", icon: "\u{1F30D}", title: "All-Rounder", description: "Finish a test in every game.", rule: (c) => TEST_GAMES.every((g) => c.testGames.includes(g)) },
+  { id: "first-program", icon: "\u{1F9E9}", title: "Coder", description: "Run a program in Skratch Studio.", rule: (c) => c.programs >= 1 },
+  { id: "first-song", icon: "\u{1F941}", title: "Beat Maker", description: "Run a Skratch program that plays music.", rule: (c) => c.musicPrograms >= 1 },
+  { id: "programs-20", icon: "\u{1F916}", title: "Tinkerer", description: "Run 20 Skratch Studio programs.", rule: (c) => c.programs >= 20 },
+];
+
+// Current run of correct answers per game, for this page load only
+const streaks = {};
+
+let initialized = false;
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function emptyCounters() {
+  return {
+    answers: 0, correct: 0, bestStreak: 0, perfectStrums: 0,
+    tests: 0, perfectTests: 0, testGames: [], programs: 0, musicPrograms: 0,
+  };
+}
+
+function loadAchievements() {
+  const data = getItem(ACHIEVEMENTS_KEY(), {});
+  return {
+    earned: data.earned || {},
+    counters: { ...emptyCounters(), ...data.counters },
+  };
+}
+
+/**
+ * Apply a counter update, save, and return any badges it earned.
+ *
+ * @param {(c: Counters) => void} update
+ * @returns {Badge[]}
+ */
+function applyUpdate(update) {
+  const data = loadAchievements();
+  update(data.counters);
+
+  const now = new Date().toISOString();
+  const newBadges = BADGES.filter((b) => !data.earned[b.id] && b.rule(data.counters));
+  newBadges.forEach((b) => { data.earned[b.id] = now; });
+
+  setItem(ACHIEVEMENTS_KEY(), data);
+  return newBadges;
+}
+
+function handleAnswer({ game, hit, context = {} }) {
+  streaks[game] = hit ? (streaks[game] || 0) + 1 : 0;
+  return applyUpdate((c) => {
+    c.answers++;
+    if (hit) c.correct++;
+    c.bestStreak = Math.max(c.bestStreak, streaks[game]);
+    if (context.grade === "perfect") c.perfectStrums++;
+  });
+}
+
+function handleTestComplete({ game, metadata = {} }) {
+  return applyUpdate((c) => {
+    c.tests++;
+    if (metadata.accuracy >= 100) c.perfectTests++;
+    if (!c.testGames.includes(game)) c.testGames.push(game);
+  });
+}
+
+function handleProgramRun({ hasMusic }) {
+  return applyUpdate((c) => {
+    c.programs++;
+    if (hasMusic) c.musicPrograms++;
+  });
+}
+
+/* ---------------------------------------------------------- */
+/*  Toasts                                                    */
+/* ---------------------------------------------------------- */
+
+function showToast(badge) {
+  let region = document.querySelector(".achievement-toasts");
+  if (!region) {
+    region = document.createElement("div");
+    region.className = "achievement-toasts";
+    region.setAttribute("aria-live", "polite");
+    document.body.appendChild(region);
+  }
+
+  const toast = document.createElement("div");
+  toast.className = "achievement-toast animate-pop";
+
+  const icon = document.createElement("span");
+  icon.className = "achievement-toast__icon";
+  icon.setAttribute("aria-hidden", "true");
+  icon.textContent = badge.icon;
+
+  const text = document.createElement("div");
+  const label = document.createElement("div");
+  label.className = "achievement-toast__label";
+  label.textContent = "Badge earned!";
+  const title = document.createElement("div");
+  title.className = "achievement-toast__title";
+  title.textContent = badge.title;
+  text.append(label, title);
+
+  toast.append(icon, text);
+  region.appendChild(toast);
+  setTimeout(() => toast.remove(), TOAST_MS);
+}
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Start listening for game events on this page. Safe to call more
+ * than once.
+ */
+export function initAchievements() {
+  if (initialized) return;
+  initialized = true;
+
+  const award = (handler) => (detail) => {
+    try {
+      handler(detail).forEach(showToast);
+    } catch (err) {
+      console.warn("[achievements] Failed to update achievements:", err);
+    }
+  };
+  onGameEvent(GAME_EVENTS.ANSWER, award(handleAnswer));
+  onGameEvent(GAME_EVENTS.TEST_COMPLETE, award(handleTestComplete));
+  onGameEvent(GAME_EVENTS.PROGRAM_RUN, award(handleProgramRun));
+}
+
+/**
+ * Every badge, with the active player's earned date.
+ *
+ * @returns {Array<{ id: string, title: string, description: string, icon: string,
+ *                   earnedAt: string|null }>}
+ */
+export function getBadges() {
+  const { earned } = loadAchievements();
+  return BADGES.map(({ rule, ...badge }) => ({ ...badge, earnedAt: earned[badge.id] || null }));
+}
+
+/**
+ * The active player's running achievement counters.
+ *
+ * @returns {Counters}
+ */
+export function getAchievementCounters() {
+  return loadAchievements().counters;
+}
+
+/* ---------------------------------------------------------- */
+/*  Badge gallery DOM rendering helper                        */
+/* ---------------------------------------------------------- */
+
+/**
+ * Render every badge into a container, earned ones first.
+ * Uses the CSS classes from shared/styles.css.
+ *
+ * @param {HTMLElement} container - Target element
+ */
+export function renderBadgeGallery(container) {
+  const badges = getBadges().sort((a, b) => (b.earnedAt ? 1 : 0) - (a.earnedAt ? 1 : 0));
+  container.innerHTML = "";
+
+  const list = document.createElement("div");
+  list.className = "achievement-gallery";
+
+  badges.forEach((badge) => {
+    const item = document.createElement("div");
+    item.className = "achievement" + (badge.earnedAt ? "" : " achievement--locked");
+    item.title = badge.earnedAt
+      ? `Earned ${new Date(badge.earnedAt).toLocaleDateString()}`
+      : "Not earned yet";
+
+    const icon = document.createElement("span");
+    icon.className = "achievement__icon";
+    icon.setAttribute("aria-hidden", "true");
+    icon.textContent = badge.icon;
+
+    const title = document.createElement("div");
+    title.className = "achievement__title";
+    title.textContent = badge.title;
+
+    const description = document.createElement("div");
+    description.className = "achievement__description";
+    description.textContent = badge.description;
+
+    item.append(icon, title, description);
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+}
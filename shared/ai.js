@@ -2,20 +2,42 @@
  * Music Theory Games — Adaptive Difficulty & AI Tutor
  * shared/ai.js
  *
- * Tracks per-game, per-skill performance in localStorage.
- * Calculates adaptive weights to bias practice toward weak areas.
- * Optionally calls the Claude API for post-session feedback.
- * All AI features degrade gracefully if no API key is set.
+ * Tracks per-game, per-skill performance through shared/storage.js,
+ * separately for each player profile (see shared/profiles.js). Every
+ * attempt is also appended to the storage layer's attempt log, and
+ * session history is kept in full.
+ * Schedules each skill with SM-2 spaced repetition and turns the
+ * schedule into weights that bias practice toward skills that are due.
+ * Optionally asks an AI tutor for post-session feedback — Claude directly,
+ * a server-side proxy that holds the key, or an OpenAI-compatible local
+ * model server, chosen in shared/config.js.
+ * In games, players can also ask the tutor about the current question.
+ * Without a tutor, feedback and hints fall back to templates
+ * (shared/feedback.js).
  */
 
+import { getActiveProfileId, profileKey } from "./profiles.js";
+import { getItem, setItem, removeItem, addAttempts, getAttempts, deleteAttempts } from "./storage.js";
+import { emitGameEvent, GAME_EVENTS } from "./events.js";
+import { buildOfflineFeedback, buildOfflineHint } from "./feedback.js";
+import { buildTutorSystemPrompt } from "./tutor-prompts.js";
+
 /* ---------------------------------------------------------- */
 /*  Config — dynamic import for graceful degradation           */
 /* ---------------------------------------------------------- */
 
 let CLAUDE_API_KEY = "";
+let TUTOR_PROVIDER = "anthropic";
+let TUTOR_ENDPOINT = "";
+let TUTOR_MODEL = "";
+let TUTOR_API_KEY = "";
 try {
   const config = await import("./config.js");
   CLAUDE_API_KEY = config.CLAUDE_API_KEY || "";
+  TUTOR_PROVIDER = config.TUTOR_PROVIDER || "anthropic";
+  TUTOR_ENDPOINT = config.TUTOR_ENDPOINT || "";
+  TUTOR_MODEL = config.TUTOR_MODEL || "";
+  TUTOR_API_KEY = config.TUTOR_API_KEY || "";
 } catch {
   // config.js not found — AI features disabled
 }
@@ -25,30 +47,175 @@ try {
 /* ---------------------------------------------------------- */
 
 const STORAGE_PREFIX = "mtt_ai_";
-const PERF_KEY = (game) => `${STORAGE_PREFIX}${game}`;
-const MAX_SESSIONS = 50;
+const PERF_KEY = (game) => profileKey(`${STORAGE_PREFIX}${game}`);
+
+// SM-2 spaced repetition
+const DAY_MS = 86_400_000;
+const SRS_DEFAULT_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_FIRST_INTERVALS = [1, 6];   // days after the 1st and 2nd successful review
+const SRS_FAST_RESPONSE_MS = 3000;    // hits faster than this grade as "easy"
+const SRS_MISS_QUALITY = 2;
+const SRS_HIT_QUALITY = 4;
+const SRS_EASY_QUALITY = 5;
+const SRS_NOT_DUE_WEIGHT = 0.1;       // skills not yet due still come up now and then
+
+// Attempt history queries
+const DEFAULT_ROLLING_WINDOW = 20;    // attempts per rolling average
+const DEFAULT_HISTORY_DAYS = 30;
+const DEFAULT_TREND_DAYS = 7;
+
+// AI tutor
+const CLAUDE_MODEL = "claude-haiku-4-5-20251001";
+const ANTHROPIC_VERSION = "2023-06-01";
+const TUTOR_TIMEOUT_MS = 20_000;
+const MAX_CHAT_MESSAGES = 12;         // most recent turns sent with each question
+const MAX_CHAT_CHARS = 500;           // per message
+
+/* Tutor providers (config.js TUTOR_PROVIDER):
+   anthropic — Claude Messages API straight from the browser; needs CLAUDE_API_KEY
+   proxy     — TUTOR_ENDPOINT (e.g. server/tutor-proxy.mjs), which adds the key,
+               picks the model and builds the system prompt server-side
+   openai    — an OpenAI-compatible /v1/chat/completions endpoint, e.g. a local
+               model server on the classroom LAN; needs TUTOR_ENDPOINT and TUTOR_MODEL */
+const TUTOR_PROVIDERS = {
+  anthropic: {
+    isConfigured: () => CLAUDE_API_KEY.length > 0,
+    endpoint: () => TUTOR_ENDPOINT || "https://api.anthropic.com/v1/messages",
+    headers: () => ({
+      "x-api-key": CLAUDE_API_KEY,
+      "anthropic-version": ANTHROPIC_VERSION,
+      "anthropic-dangerous-direct-browser-access": "true",
+    }),
+    body: anthropicBody,
+    parse: (data) => data.content?.[0]?.text ?? null,
+  },
+  proxy: {
+    isConfigured: () => TUTOR_ENDPOINT.length > 0,
+    endpoint: () => TUTOR_ENDPOINT,
+    headers: () => ({ "anthropic-version": ANTHROPIC_VERSION }),
+    body: ({ prompt, context, messages, maxTokens }) => ({ prompt, context, max_tokens: maxTokens, messages }),
+    parse: (data) => data.content?.[0]?.text ?? null,
+  },
+  openai: {
+    isConfigured: () => TUTOR_ENDPOINT.length > 0 && TUTOR_MODEL.length > 0,
+    endpoint: () => TUTOR_ENDPOINT,
+    headers: () => (TUTOR_API_KEY ? { Authorization: `Bearer ${TUTOR_API_KEY}` } : {}),
+    body: ({ prompt, context, messages, maxTokens }) => ({
+      model: TUTOR_MODEL,
+      max_tokens: maxTokens,
+      messages: [{ role: "system", content: buildTutorSystemPrompt(prompt, context) }, ...messages],
+    }),
+    parse: (data) => data.choices?.[0]?.message?.content ?? null,
+  },
+};
+
+/**
+ * @typedef {Object} TutorQuestion
+ * @property {string}   description  - What the player is doing right now, in words
+ *                                     (e.g. "Singing a Perfect 4th above C4")
+ * @property {string}   [skill]      - The skill being practiced (e.g. "Perfect 4th")
+ * @property {string[]} [choices]    - Answers the player can pick from
+ * @property {boolean}  [hideAnswer] - The player still has to work the answer out, so
+ *                                     the tutor gives clues and never the answer
+ */
 
 /* ---------------------------------------------------------- */
 /*  Internal helpers                                           */
 /* ---------------------------------------------------------- */
 
-function readJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
+function anthropicBody({ prompt, context, messages, maxTokens }) {
+  return {
+    model: TUTOR_MODEL || CLAUDE_MODEL,
+    max_tokens: maxTokens,
+    system: buildTutorSystemPrompt(prompt, context),
+    messages,
+  };
+}
+
+function getTutorProvider() {
+  const provider = TUTOR_PROVIDERS[TUTOR_PROVIDER];
+  if (!provider) {
+    console.warn(`[ai] Unknown TUTOR_PROVIDER "${TUTOR_PROVIDER}" — AI tutor disabled`);
+    return null;
   }
+  return provider;
 }
 
-function writeJSON(key, value) {
+/**
+ * Send a conversation to the configured tutor.
+ *
+ * @param {object}   request
+ * @param {"feedback"|"chat"} request.prompt - Which system prompt (see shared/tutor-prompts.js)
+ * @param {string}   [request.context] - Game details appended to the system prompt
+ * @param {Array<{ role: "user"|"assistant", content: string }>} request.messages
+ * @param {number}   [request.maxTokens=300]
+ * @returns {Promise<string|null>} The reply, or null if unavailable or the request fails
+ */
+async function askTutor({ prompt, context = "", messages, maxTokens = 300 }) {
+  const provider = getTutorProvider();
+  if (!provider || !provider.isConfigured()) return null;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TUTOR_TIMEOUT_MS);
   try {
-    localStorage.setItem(key, JSON.stringify(value));
-    return true;
-  } catch {
-    console.warn(`[ai] Failed to write to localStorage key "${key}"`);
-    return false;
+    const response = await fetch(provider.endpoint(), {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...provider.headers() },
+      body: JSON.stringify(provider.body({ prompt, context, messages, maxTokens })),
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      console.warn(`[ai] Tutor request failed: HTTP ${response.status}`);
+      return null;
+    }
+    const text = provider.parse(await response.json());
+    return typeof text === "string" && text.trim() ? text.trim() : null;
+  } catch (err) {
+    console.warn("[ai] Tutor request failed:", err.message);
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Keep the last MAX_CHAT_MESSAGES well-formed messages, each cut to
+ * MAX_CHAT_CHARS, starting with a player message.
+ */
+function trimConversation(messages) {
+  const trimmed = (messages || [])
+    .filter((m) => (m.role === "user" || m.role === "assistant") && typeof m.content === "string")
+    .map((m) => ({ role: m.role, content: m.content.slice(0, MAX_CHAT_CHARS) }))
+    .slice(-MAX_CHAT_MESSAGES);
+  while (trimmed.length > 0 && trimmed[0].role !== "user") trimmed.shift();
+  return trimmed;
+}
+
+/** Context for the chat prompt: the question and the player's history. */
+function tutorChatContext(game, question) {
+  const lines = [`Game: ${game}`, `Current question: ${question.description}`];
+  if (question.choices?.length) {
+    lines.push(`Answer choices: ${question.choices.join(", ")}`);
   }
+  if (question.hideAnswer) {
+    lines.push("They have not answered yet: give clues about what to listen for, but never tell them the answer.");
+  } else if (question.skill) {
+    const skill = getPerformance(game).skills[question.skill];
+    if (skill?.attempts > 0) {
+      lines.push(`Their record on ${question.skill}: ${skill.hits} of ${skill.attempts} correct.`);
+    }
+  }
+
+  const summary = getPerformanceSummary(game);
+  if (summary.totalAttempts > 0) {
+    lines.push(`Overall in this game: ${summary.overallAccuracy}% correct over ${summary.totalAttempts} answers.`);
+    const weak = getWeakAreas(game, 3)
+      .filter((w) => w.attempts > 0 && w.accuracy < 1)
+      .map((w) => `${w.skill} (${Math.round(w.accuracy * 100)}%)`);
+    if (weak.length > 0) lines.push(`Their trickiest skills: ${weak.join(", ")}.`);
+  }
+  return lines.join("\n");
 }
 
 function emptyPerformance() {
@@ -64,9 +231,91 @@ function emptySkill() {
     lastAttempt: null,
     streak: 0,
     bestStreak: 0,
+    review: emptyReview(),
+  };
+}
+
+/** Fresh SM-2 state: due immediately. */
+function emptyReview(due = new Date().toISOString()) {
+  return { ease: SRS_DEFAULT_EASE, interval: 0, repetitions: 0, due };
+}
+
+/** Review state for a skill; skills recorded before scheduling existed start due now. */
+function getReview(data) {
+  return data?.review ?? emptyReview(data?.lastAttempt ?? new Date().toISOString());
+}
+
+/** Local calendar day of an ISO timestamp, as "YYYY-MM-DD". */
+function dayKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/** Totals for a list of attempts (accuracy 0–1; averages null when no data). */
+function aggregate(attempts) {
+  const hits = attempts.filter((a) => a.hit).length;
+  return {
+    attempts: attempts.length,
+    hits,
+    accuracy: attempts.length > 0 ? hits / attempts.length : null,
+    avgResponseMs: average(attempts.filter((a) => a.responseMs != null).map((a) => a.responseMs)),
+    avgCentsOff: average(attempts.filter((a) => a.centsOff != null).map((a) => Math.abs(a.centsOff))),
   };
 }
 
+/** Rolling mean of valueOf() over the last `window` attempts that have a value. */
+function rollingSeries(attempts, window, valueOf) {
+  const points = [];
+  const recent = [];
+  for (const attempt of attempts) {
+    const value = valueOf(attempt);
+    if (value == null) continue;
+    recent.push(value);
+    if (recent.length > window) recent.shift();
+    points.push({ timestamp: attempt.timestamp, value: average(recent), count: recent.length });
+  }
+  return points;
+}
+
+/** Grade an attempt on the SM-2 0–5 scale. */
+function gradeAttempt(result) {
+  if (!result.hit) return SRS_MISS_QUALITY;
+  if (result.responseMs != null && result.responseMs < SRS_FAST_RESPONSE_MS) return SRS_EASY_QUALITY;
+  return SRS_HIT_QUALITY;
+}
+
+/**
+ * Apply one graded review (SM-2). A miss always resets the skill to due
+ * now; a hit only moves the schedule forward when the skill was due, so
+ * drilling the same skill several times in one sitting does not push it
+ * weeks into the future.
+ */
+function updateReview(review, quality, now) {
+  const isDue = now >= Date.parse(review.due);
+  if (quality >= 3 && !isDue) return review;
+
+  const ease = Math.max(
+    SRS_MIN_EASE,
+    review.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)),
+  );
+
+  if (quality < 3) {
+    return { ease, interval: 0, repetitions: 0, due: new Date(now).toISOString() };
+  }
+
+  const repetitions = review.repetitions + 1;
+  const interval = repetitions <= SRS_FIRST_INTERVALS.length
+    ? SRS_FIRST_INTERVALS[repetitions - 1]
+    : Math.round(review.interval * review.ease);
+
+  return { ease, interval, repetitions, due: new Date(now + interval * DAY_MS).toISOString() };
+}
+
 /* ---------------------------------------------------------- */
 /*  Performance tracking                                       */
 /* ---------------------------------------------------------- */
@@ -78,7 +327,7 @@ function emptySkill() {
  * @returns {{ skills: Object, sessions: Array }}
  */
 export function getPerformance(game) {
-  return readJSON(PERF_KEY(game), emptyPerformance());
+  return getItem(PERF_KEY(game), emptyPerformance());
 }
 
 /**
@@ -86,7 +335,11 @@ export function getPerformance(game) {
  *
  * @param {string} game  - Game identifier
  * @param {string} skill - Skill identifier (e.g. "Perfect 5th", "beat-timing")
- * @param {object} result - { hit: boolean, centsOff?: number, responseMs?: number }
+ * @param {object} result - { hit: boolean, centsOff?: number, responseMs?: number,
+ *                            context?: { difficulty?, root?, direction?, ... } }
+ *                          context is kept with the attempt in the history log
+ *
+ * Also emits a GAME_EVENTS.ANSWER event (see shared/events.js).
  */
 export function recordAttempt(game, skill, result) {
   const perf = getPerformance(game);
@@ -108,17 +361,32 @@ export function recordAttempt(game, skill, result) {
 
   if (result.centsOff != null) s.totalCentsOff += Math.abs(result.centsOff);
   if (result.responseMs != null) s.totalResponseMs += result.responseMs;
-  s.lastAttempt = new Date().toISOString();
-
-  writeJSON(PERF_KEY(game), perf);
+  const now = Date.now();
+  s.review = updateReview(getReview(s), gradeAttempt(result), now);
+  s.lastAttempt = new Date(now).toISOString();
+
+  setItem(PERF_KEY(game), perf);
+  addAttempts([{
+    profileId: getActiveProfileId(),
+    game,
+    skill,
+    timestamp: s.lastAttempt,
+    hit: !!result.hit,
+    centsOff: result.centsOff ?? null,
+    responseMs: result.responseMs ?? null,
+    context: result.context ?? {},
+  }]);
+  emitGameEvent(GAME_EVENTS.ANSWER, { game, skill, hit: !!result.hit, context: result.context ?? {} });
 }
 
 /**
  * Save a completed session summary.
  *
  * @param {string} game        - Game identifier
- * @param {object} sessionData - { mode, difficulty, score, accuracy, duration?,
+ * @param {object} sessionData - { mode, difficulty, score, accuracy, duration?, questions?,
  *                                 skills?: { [name]: { attempts, hits } } }
+ *                               duration is in ms; duration and questions feed the
+ *                               daily practice goals (shared/goals.js)
  */
 export function recordSession(game, sessionData) {
   const perf = getPerformance(game);
@@ -128,25 +396,18 @@ export function recordSession(game, sessionData) {
     ...sessionData,
   });
 
-  // Cap stored sessions
-  if (perf.sessions.length > MAX_SESSIONS) {
-    perf.sessions = perf.sessions.slice(-MAX_SESSIONS);
-  }
-
-  writeJSON(PERF_KEY(game), perf);
+  setItem(PERF_KEY(game), perf);
 }
 
 /**
- * Clear all tracking data for a game.
+ * Clear all tracking data for a game, including its attempt history.
  *
  * @param {string} game - Game identifier
+ * @returns {Promise<void>} Resolves once the attempt history is gone
  */
 export function clearPerformance(game) {
-  try {
-    localStorage.removeItem(PERF_KEY(game));
-  } catch {
-    // Ignore
-  }
+  removeItem(PERF_KEY(game));
+  return deleteAttempts({ profileId: getActiveProfileId(), game });
 }
 
 /* ---------------------------------------------------------- */
@@ -154,13 +415,34 @@ export function clearPerformance(game) {
 /* ---------------------------------------------------------- */
 
 /**
- * Calculate probability weights that bias toward weak areas.
+ * Get the spaced-repetition schedule for a game's skills.
+ *
+ * @param {string}   game     - Game identifier
+ * @param {string[]} [skills] - Skills to include (default: every recorded skill)
+ * @returns {Array<{ skill: string, due: string, isDue: boolean, interval: number,
+ *                   ease: number, repetitions: number }>} Soonest due first
+ */
+export function getReviewSchedule(game, skills) {
+  const perf = getPerformance(game);
+  const now = Date.now();
+  return (skills || Object.keys(perf.skills))
+    .map((skill) => {
+      const review = getReview(perf.skills[skill]);
+      return { skill, ...review, isDue: now >= Date.parse(review.due) };
+    })
+    .sort((a, b) => Date.parse(a.due) - Date.parse(b.due));
+}
+
+/**
+ * Calculate probability weights from the spaced-repetition schedule.
  *
  * Algorithm:
- *   - Base weight = 1 - accuracy (lower accuracy → higher weight)
- *   - Untried skills get weight 1.0 (high priority)
- *   - Skills with < 5 attempts get a 1.2× novelty bonus
- *   - Skills not practiced in 24+ hours get a 1.3× recency bonus
+ *   - Untried skills are due now (weight 1.0)
+ *   - Due skills weigh 1.0–2.0, growing with how overdue they are
+ *     relative to their review interval
+ *   - Hard skills (low ease factor) are scaled up, easy ones down
+ *   - Skills not yet due get a small weight (0.1) so mastered material
+ *     fades out without disappearing entirely
  *   - Weights are normalized to sum to 1
  *
  * @param {string}   game   - Game identifier
@@ -170,31 +452,15 @@ export function clearPerformance(game) {
 export function getAdaptiveWeights(game, skills) {
   if (!skills || skills.length === 0) return {};
 
-  const perf = getPerformance(game);
   const raw = {};
-
-  for (const skill of skills) {
-    const data = perf.skills[skill];
-
-    if (!data || data.attempts === 0) {
-      raw[skill] = 1.0;
+  for (const item of getReviewSchedule(game, skills)) {
+    if (!item.isDue) {
+      raw[item.skill] = SRS_NOT_DUE_WEIGHT;
       continue;
     }
-
-    const accuracy = data.hits / data.attempts;
-    let weight = Math.max(0.1, 1.0 - accuracy);
-
-    // Novelty bonus: still learning
-    if (data.attempts < 5) weight *= 1.2;
-
-    // Recency bonus: not practiced recently
-    if (data.lastAttempt) {
-      const hoursSince =
-        (Date.now() - new Date(data.lastAttempt).getTime()) / 3_600_000;
-      if (hoursSince > 24) weight *= 1.3;
-    }
-
-    raw[skill] = weight;
+    const overdueDays = (Date.now() - Date.parse(item.due)) / DAY_MS;
+    const overdue = Math.min(1, overdueDays / Math.max(1, item.interval));
+    raw[item.skill] = (1 + overdue) * (SRS_DEFAULT_EASE / item.ease);
   }
 
   // Normalize
@@ -300,30 +566,139 @@ export function getPerformanceSummary(game) {
 }
 
 /* ---------------------------------------------------------- */
-/*  AI Tutor (Claude API)                                      */
+/*  Attempt history                                            */
 /* ---------------------------------------------------------- */
 
 /**
- * Check if a Claude API key is configured.
+ * Individual attempts for the active profile, oldest first.
+ *
+ * @param {string} game - Game identifier
+ * @param {object} [filter] - { skill?, since?, until? } (ISO timestamps)
+ * @returns {Promise<Array<{ skill: string, timestamp: string, hit: boolean,
+ *   centsOff: number|null, responseMs: number|null, context: object }>>}
+ */
+export function getAttemptHistory(game, { skill, since, until } = {}) {
+  return getAttempts({ profileId: getActiveProfileId(), game, skill, since, until });
+}
+
+/**
+ * Accuracy averaged over a sliding window of attempts.
+ *
+ * @param {string} game - Game identifier
+ * @param {object} [options]
+ * @param {string} [options.skill]    - Limit to one skill
+ * @param {number} [options.window=20] - Attempts per average
+ * @param {string} [options.since]    - ISO timestamp
+ * @returns {Promise<Array<{ timestamp: string, accuracy: number, count: number }>>}
+ *   One point per attempt; accuracy is 0–1
+ */
+export async function getRollingAccuracy(game, { skill, window = DEFAULT_ROLLING_WINDOW, since } = {}) {
+  const attempts = await getAttemptHistory(game, { skill, since });
+  return rollingSeries(attempts, window, (a) => (a.hit ? 1 : 0))
+    .map(({ timestamp, value, count }) => ({ timestamp, accuracy: value, count }));
+}
+
+/**
+ * Response time averaged over a sliding window of attempts (attempts
+ * without a recorded response time are skipped).
+ *
+ * @param {string} game - Game identifier
+ * @param {object} [options] - Same as getRollingAccuracy()
+ * @returns {Promise<Array<{ timestamp: string, avgResponseMs: number, count: number }>>}
+ */
+export async function getResponseTimeTrend(game, { skill, window = DEFAULT_ROLLING_WINDOW, since } = {}) {
+  const attempts = await getAttemptHistory(game, { skill, since });
+  return rollingSeries(attempts, window, (a) => a.responseMs)
+    .map(({ timestamp, value, count }) => ({ timestamp, avgResponseMs: value, count }));
+}
+
+/**
+ * Per-day totals for the last `days` days (local time). Days without
+ * practice are omitted.
+ *
+ * @param {string} game - Game identifier
+ * @param {object} [options]
+ * @param {string} [options.skill]    - Limit to one skill
+ * @param {number} [options.days=30]
+ * @returns {Promise<Array<{ date: string, attempts: number, hits: number, accuracy: number,
+ *   avgResponseMs: number|null, avgCentsOff: number|null }>>} Oldest day first
+ */
+export async function getDailyStats(game, { skill, days = DEFAULT_HISTORY_DAYS } = {}) {
+  const since = new Date(Date.now() - days * DAY_MS).toISOString();
+  const attempts = await getAttemptHistory(game, { skill, since });
+
+  const byDay = new Map();
+  for (const attempt of attempts) {
+    const date = dayKey(attempt.timestamp);
+    if (!byDay.has(date)) byDay.set(date, []);
+    byDay.get(date).push(attempt);
+  }
+  return [...byDay].map(([date, dayAttempts]) => ({ date, ...aggregate(dayAttempts) }));
+}
+
+/**
+ * Compare the last `days` days with the `days` before them, e.g. "is
+ * this week better than last week?".
+ *
+ * @param {string} game - Game identifier
+ * @param {object} [options]
+ * @param {string} [options.skill] - Limit to one skill
+ * @param {number} [options.days=7]
+ * @returns {Promise<{ current: object, previous: object, accuracyChange: number|null,
+ *   responseTimeChangeMs: number|null }>} current/previous have the getDailyStats() fields
+ *   (minus date); changes are null when either period has no data
+ */
+export async function getTrendSummary(game, { skill, days = DEFAULT_TREND_DAYS } = {}) {
+  const now = Date.now();
+  const boundary = new Date(now - days * DAY_MS).toISOString();
+  const since = new Date(now - 2 * days * DAY_MS).toISOString();
+  const attempts = await getAttemptHistory(game, { skill, since });
+
+  const current = aggregate(attempts.filter((a) => a.timestamp >= boundary));
+  const previous = aggregate(attempts.filter((a) => a.timestamp < boundary));
+  const change = (key) =>
+    current[key] != null && previous[key] != null ? current[key] - previous[key] : null;
+
+  return {
+    current,
+    previous,
+    accuracyChange: change("accuracy"),
+    responseTimeChangeMs: change("avgResponseMs"),
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  AI Tutor                                                   */
+/* ---------------------------------------------------------- */
+
+/**
+ * Check if an AI tutor is configured: an API key for the "anthropic"
+ * provider, or an endpoint (and model, for "openai") for the others.
  *
  * @returns {boolean}
  */
 export function isAIAvailable() {
-  return typeof CLAUDE_API_KEY === "string" && CLAUDE_API_KEY.length > 0;
+  const provider = getTutorProvider();
+  return !!provider && provider.isConfigured();
 }
 
 /**
- * Call the Claude API for post-session feedback.
- * Returns null gracefully if no API key is set or the request fails.
+ * Get post-session feedback from the configured AI tutor. Without a
+ * tutor, or if the request fails, the feedback is built from templates
+ * instead (see shared/feedback.js), so there is always something to show.
  *
  * @param {string} game        - Game identifier (e.g. "harmony-training")
  * @param {object} sessionData - Session summary (score, accuracy, skills, etc.)
- * @returns {Promise<string|null>} Encouraging feedback text, or null
+ * @returns {Promise<string>} Encouraging feedback text
  */
 export async function getSessionFeedback(game, sessionData) {
-  if (!isAIAvailable()) return null;
-
   const summary = getPerformanceSummary(game);
+  const offline = () => buildOfflineFeedback(game, sessionData, {
+    summary,
+    weakAreas: getWeakAreas(game),
+  });
+
+  if (!isAIAvailable()) return offline();
 
   const userMessage = [
     `Game: ${game}`,
@@ -333,32 +708,39 @@ export async function getSessionFeedback(game, sessionData) {
     "Give me encouraging feedback on my practice session!",
   ].join("\n");
 
-  try {
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": CLAUDE_API_KEY,
-        "anthropic-version": "2023-06-01",
-        "anthropic-dangerous-direct-browser-access": "true",
-      },
-      body: JSON.stringify({
-        model: "claude-haiku-4-5-20251001",
-        max_tokens: 300,
-        system:
-          "You are a friendly, encouraging music theory tutor for kids ages 8–12. " +
-          "Give brief, positive feedback on their practice session. " +
-          "Mention one specific strength and one area to keep working on. " +
-          "Use simple, enthusiastic language. Keep it to 2–3 short sentences.",
-        messages: [{ role: "user", content: userMessage }],
-      }),
-    });
+  const feedback = await askTutor({
+    prompt: "feedback",
+    messages: [{ role: "user", content: userMessage }],
+  });
+  return feedback ?? offline();
+}
 
-    if (!response.ok) return null;
+/**
+ * Ask the tutor about the question the player is on — a hint, or a
+ * follow-up in an ongoing conversation. The tutor sees the question and
+ * the player's history for this game. Without a tutor, or if the
+ * request fails, the reply is a template hint (see shared/feedback.js);
+ * asking again steps through the hints for the question.
+ *
+ * @param {string}       game     - Game identifier
+ * @param {TutorQuestion} question - The current question
+ * @param {Array<{ role: "user"|"assistant", content: string }>} messages
+ *   The conversation about this question so far, ending with the player's message
+ * @returns {Promise<string>} The tutor's reply
+ */
+export async function askTutorAboutQuestion(game, question, messages) {
+  const conversation = trimConversation(messages);
+  const offline = () => buildOfflineHint(game, question, {
+    turn: (messages || []).filter((m) => m.role === "user").length - 1,
+  });
 
-    const data = await response.json();
-    return data.content?.[0]?.text ?? null;
-  } catch {
-    return null;
-  }
+  if (!isAIAvailable() || conversation.length === 0) return offline();
+
+  const reply = await askTutor({
+    prompt: "chat",
+    context: tutorChatContext(game, question),
+    messages: conversation,
+    maxTokens: 200,
+  });
+  return reply ?? offline();
 }
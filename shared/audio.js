@@ -3,9 +3,18 @@
  * shared/audio.js
  *
  * Wraps Tone.js (loaded via CDN) for synthesis and the raw Web Audio API
- * for pitch detection via autocorrelation.
+ * for pitch detection. The detector itself is pluggable (autocorrelation,
+ * YIN or McLeod) and lives in shared/pitch.js. Where supported, an
+ * AudioWorklet (shared/pitch-worklet.js) streams mic samples to a Worker
+ * (shared/pitch-worker.js) that runs the detector, falling back to a
+ * requestAnimationFrame loop over an AnalyserNode.
  */
 
+import { detectPitch, createFrameAnalyser, analyseLatestBlock, PITCH_ALGORITHMS } from "./pitch.js";
+import { savePreference, getPreference } from "./progress.js";
+import { INSTRUMENTS, DEFAULT_INSTRUMENT, getInstrumentPreset } from "./instruments.js";
+import { parseNote, spellNote, describeInterval, describeIntervalSize, parseInterval } from "./spelling.js";
+
 /* ---------------------------------------------------------- */
 /*  Constants                                                 */
 /* ---------------------------------------------------------- */
@@ -36,21 +45,96 @@ const INTERVAL_NAMES = [
   "Minor 7th",     // 10
   "Major 7th",     // 11
   "Octave",        // 12
+  "Minor 9th",     // 13
+  "Major 9th",     // 14
+  "Minor 10th",    // 15
+  "Major 10th",    // 16
+  "Perfect 11th",  // 17
+  "Augmented 11th", // 18
+  "Perfect 12th",  // 19
+  "Minor 13th",    // 20
+  "Major 13th",    // 21
+  "Minor 14th",    // 22
+  "Major 14th",    // 23
+  "Double Octave", // 24
 ];
 
-const A4_FREQ = 440;
+// Quality-aware vocabulary up to two octaves. Enharmonic pairs such as
+// A4/d5 share a size but differ in spelling (C→F# vs C→Gb).
+const INTERVALS = [
+  "P1", "m2", "M2", "A2", "m3", "M3", "P4", "A4", "d5", "P5", "A5", "m6",
+  "M6", "d7", "m7", "M7", "P8", "m9", "M9", "A9", "m10", "M10", "P11",
+  "A11", "d12", "P12", "m13", "M13", "m14", "M14", "P15",
+].map(parseInterval);
+
 const A4_MIDI = 69;
 
+// How far (in cents) a sung note may be from the target and still count,
+// per difficulty. Shared by every game that scores singing.
+const SINGING_TOLERANCE = Object.freeze({ easy: 50, medium: 30, hard: 15, expert: 10 });
+
+/* Tuning: reference pitch for A4 plus a temperament applied relative
+   to a tonic. The tonic keeps its equal-tempered pitch; every other
+   pitch class is shifted by the temperament's offset in cents. */
+const TUNING_PREF_KEY = "tuning";
+const DEFAULT_TUNING = { referenceFreq: 440, temperament: "equal", tonic: "C" };
+const REFERENCE_RANGE = [400, 480];
+
+const TEMPERAMENTS = {
+  equal: {
+    label: "Equal Temperament",
+    offsets: new Array(12).fill(0),
+  },
+  just: {
+    label: "Just Intonation",
+    offsets: offsetsFromRatios([
+      1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3,
+      45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8,
+    ]),
+  },
+  pythagorean: {
+    label: "Pythagorean",
+    offsets: offsetsFromFifths(1200 * Math.log2(3 / 2), -5),
+  },
+  meantone: {
+    label: "Quarter-Comma Meantone",
+    offsets: offsetsFromFifths(1200 * Math.log2(5) / 4, -3),
+  },
+};
+
+const INSTRUMENT_PREF_KEY = "instrument";
+const PLAYBACK_VOLUME_DB = -8;
+const MELODIC_GAP_S = 0.15;    // silence between the two notes of a melodic interval
+const RENDER_TAIL_S = 0.1;     // extra render time after the last release
+const RENDER_CACHE_SIZE = 32;  // rendered questions kept in memory
+
+const PITCH_WORKLET_URL = new URL("./pitch-worklet.js", import.meta.url);
+const PITCH_WORKLET_NAME = "pitch-analyser";
+const PITCH_WORKER_URL = new URL("./pitch-worker.js", import.meta.url);
+
 /* ---------------------------------------------------------- */
 /*  Module state                                              */
 /* ---------------------------------------------------------- */
 
 let audioContext = null;
 let synth = null;
+let synthEffects = [];
+let instrument = null;       // loaded lazily from preferences
+const renderCache = new Map(); // question content → AudioBuffer (insertion order = recency)
 let micStream = null;
+let micSource = null;
 let analyserNode = null;
+let workletNode = null;
+let workletContext = null;   // context the worklet module was added to
+let pitchWorker = null;      // runs the detector for the worklet path
+let pageAnalyser = null;     // ...or this, when module workers are unavailable
 let detectionRunning = false;
 let detectionFrameId = null;
+let detectionBackend = null; // "worklet" | "animation-frame" | null
+let detectionStarting = false; // waiting on the mic prompt or the worklet module
+let detectionGeneration = 0;   // bumped by every start and stop, so a stale start gives up
+let pitchAlgorithm = "mcleod";
+let tuning = null;           // loaded lazily from preferences
 
 /* ---------------------------------------------------------- */
 /*  Initialization                                            */
@@ -75,36 +159,141 @@ export async function initAudio() {
   await Tone.start();
   audioContext = Tone.getContext().rawContext;
 
-  synth = new Tone.PolySynth(Tone.Synth, {
-    oscillator: { type: "triangle" },
-    envelope: {
-      attack: 0.02,
-      decay: 0.3,
-      sustain: 0.4,
-      release: 0.8,
-    },
-    volume: -8,
-  }).toDestination();
+  if (!synth) buildSynth();
 
   return audioContext;
 }
 
+/* ---------------------------------------------------------- */
+/*  Instruments                                               */
+/* ---------------------------------------------------------- */
+
+/**
+ * Get the active playback instrument.
+ *
+ * @returns {string} Key of INSTRUMENTS
+ */
+export function getInstrument() {
+  if (!instrument) {
+    const saved = getPreference(INSTRUMENT_PREF_KEY, DEFAULT_INSTRUMENT);
+    instrument = INSTRUMENTS[saved] ? saved : DEFAULT_INSTRUMENT;
+  }
+  return instrument;
+}
+
+/**
+ * Select the instrument used by playNote / playInterval and persist it
+ * as a preference. Takes effect immediately if audio is running.
+ *
+ * @param {string} name - Key of INSTRUMENTS (e.g. "guitar")
+ * @returns {string} The active instrument
+ */
+export function setInstrument(name) {
+  if (!INSTRUMENTS[name]) {
+    throw new Error(`Unknown instrument: "${name}"`);
+  }
+  const changed = name !== getInstrument();
+  instrument = name;
+  savePreference(INSTRUMENT_PREF_KEY, name);
+  if (changed && synth) buildSynth();
+  return instrument;
+}
+
+/** (Re)build the playback PolySynth and effects chain for the active instrument. */
+function buildSynth() {
+  if (synth) {
+    synth.releaseAll();
+    synth.dispose();
+  }
+  synthEffects.forEach((fx) => fx.dispose());
+
+  const preset = getInstrumentPreset(getInstrument());
+  synth = new Tone.PolySynth(Tone.Synth, { ...preset.options, volume: PLAYBACK_VOLUME_DB });
+  synthEffects = preset.buildEffects ? preset.buildEffects() : [];
+  synth.chain(...synthEffects, Tone.Destination);
+}
+
 /* ---------------------------------------------------------- */
 /*  Note / Frequency conversions                              */
 /* ---------------------------------------------------------- */
 
 /**
- * Convert a frequency in Hz to note info.
+ * Get the active tuning.
  *
- * @param {number} freq - Frequency in Hz
+ * @returns {{ referenceFreq: number, temperament: string, tonic: string }}
+ */
+export function getTuning() {
+  if (!tuning) {
+    tuning = { ...DEFAULT_TUNING, ...getPreference(TUNING_PREF_KEY, {}) };
+    if (!TEMPERAMENTS[tuning.temperament]) tuning.temperament = DEFAULT_TUNING.temperament;
+  }
+  return { ...tuning };
+}
+
+/**
+ * Change the tuning and persist it as a preference. Any omitted field
+ * keeps its current value.
+ *
+ * @param {object} [changes]
+ * @param {number} [changes.referenceFreq] - A4 in Hz (400–480)
+ * @param {string} [changes.temperament]   - Key of TEMPERAMENTS
+ * @param {string} [changes.tonic]         - Pitch class the temperament is built on
+ * @returns {object} The new tuning
+ */
+export function setTuning(changes = {}) {
+  const next = { ...getTuning(), ...changes };
+
+  const ref = Number(next.referenceFreq);
+  if (!(ref >= REFERENCE_RANGE[0] && ref <= REFERENCE_RANGE[1])) {
+    throw new Error(`Reference pitch must be ${REFERENCE_RANGE[0]}–${REFERENCE_RANGE[1]} Hz`);
+  }
+  if (!TEMPERAMENTS[next.temperament]) {
+    throw new Error(`Unknown temperament: "${next.temperament}"`);
+  }
+  if (!NOTE_NAMES.includes(next.tonic)) {
+    throw new Error(`Unknown tonic: "${next.tonic}"`);
+  }
+
+  tuning = { referenceFreq: ref, temperament: next.temperament, tonic: next.tonic };
+  savePreference(TUNING_PREF_KEY, tuning);
+  return { ...tuning };
+}
+
+/**
+ * Convert a frequency in Hz to note info, relative to the active tuning.
+ * `cents` is the deviation from the nearest tempered note. Without a key
+ * the name comes from NOTE_NAMES (sharps); with one it is spelled for
+ * that key (e.g. "Eb" in C minor) by shared/spelling.js.
+ *
+ * @param {number} freq  - Frequency in Hz
+ * @param {string|object} [key] - Optional key context, e.g. "C minor"
  * @returns {{ noteName: string, octave: number, cents: number, fullName: string }}
  */
-export function frequencyToNote(freq) {
+export function frequencyToNote(freq, key) {
   if (freq <= 0) return null;
 
-  const midiFloat = 12 * Math.log2(freq / A4_FREQ) + A4_MIDI;
-  const midi = Math.round(midiFloat);
-  const cents = Math.round((midiFloat - midi) * 100);
+  const { referenceFreq } = getTuning();
+  const nearest = Math.round(12 * Math.log2(freq / referenceFreq) + A4_MIDI);
+
+  // Tempered offsets can exceed a quarter tone, so check the neighbours too
+  let midi = nearest;
+  let centsOff = Infinity;
+  for (const candidate of [nearest - 1, nearest, nearest + 1]) {
+    const c = 1200 * Math.log2(freq / midiToFrequency(candidate));
+    if (Math.abs(c) < Math.abs(centsOff)) {
+      centsOff = c;
+      midi = candidate;
+    }
+  }
+
+  const cents = Math.round(centsOff);
+
+  if (key) {
+    const { letter, accidental, octave } = parseNote(spellNote(midi, key));
+    const noteName = letter + accidental;
+    return { noteName, octave, cents, fullName: `${noteName}${octave}`, displayName: noteName };
+  }
+
   const noteIndex = ((midi % 12) + 12) % 12;
   const octave = Math.floor(midi / 12) - 1;
   const noteName = NOTE_NAMES[noteIndex];
@@ -119,46 +308,96 @@ export function frequencyToNote(freq) {
 }
 
 /**
- * Convert a scientific pitch name (e.g. "C4", "F#3") to Hz.
+ * Convert a scientific pitch name (e.g. "C4", "Eb3", "F##2") to Hz,
+ * using the active reference pitch and temperament.
  *
  * @param {string} name - Scientific pitch notation
  * @returns {number} Frequency in Hz
  */
 export function noteToFrequency(name) {
-  const match = name.match(/^([A-G]#?)(\d+)$/);
-  if (!match) throw new Error(`Invalid note name: "${name}"`);
+  const { midi } = parseNote(name);
+  if (midi == null) throw new Error(`Invalid note name: "${name}"`);
+  return midiToFrequency(midi);
+}
 
-  const noteName = match[1];
-  const octave = parseInt(match[2], 10);
-  const noteIndex = NOTE_NAMES.indexOf(noteName);
-  if (noteIndex === -1) throw new Error(`Unknown note: "${noteName}"`);
+/**
+ * Frequency of the note `semitones` above `rootNote`. In non-equal
+ * temperaments the interval is tuned relative to the root itself, so
+ * a just Major 3rd is always a pure 5:4 whatever the root.
+ *
+ * @param {string} rootNote  - Scientific pitch of the root (e.g. "C4")
+ * @param {number} semitones - Semitones above the root (may be negative)
+ * @returns {number} Frequency in Hz
+ */
+export function getIntervalFrequency(rootNote, semitones) {
+  const { offsets } = TEMPERAMENTS[getTuning().temperament];
+  const pc = ((semitones % 12) + 12) % 12;
+  return noteToFrequency(rootNote) * Math.pow(2, (semitones * 100 + offsets[pc]) / 1200);
+}
+
+/** Tempered frequency of a MIDI note number. */
+function midiToFrequency(midi) {
+  const { referenceFreq, temperament, tonic } = getTuning();
+  const equal = referenceFreq * Math.pow(2, (midi - A4_MIDI) / 12);
+  const degree = (((midi - NOTE_NAMES.indexOf(tonic)) % 12) + 12) % 12;
+  return equal * Math.pow(2, TEMPERAMENTS[temperament].offsets[degree] / 1200);
+}
 
-  const midi = (octave + 1) * 12 + noteIndex;
-  return A4_FREQ * Math.pow(2, (midi - A4_MIDI) / 12);
+/** Cents offsets from 12-TET for a list of 12 frequency ratios above the tonic. */
+function offsetsFromRatios(ratios) {
+  return ratios.map((r, i) => 1200 * Math.log2(r) - i * 100);
 }
 
 /**
- * Get the interval name for a given number of semitones.
+ * Cents offsets for a temperament built from a chain of equal fifths,
+ * starting `lowest` fifths below the tonic (e.g. -3 = Eb..G# from C).
+ */
+function offsetsFromFifths(fifthCents, lowest) {
+  const offsets = new Array(12).fill(0);
+  for (let k = lowest; k < lowest + 12; k++) {
+    const cents = (((k * fifthCents) % 1200) + 1200) % 1200;
+    const degree = (((k * 7) % 12) + 12) % 12;
+    offsets[degree] = cents - degree * 100;
+  }
+  return offsets;
+}
+
+/**
+ * Get the interval name for a given number of semitones (0–24).
+ * Pass a generic interval number to pick the quality-aware name
+ * (6 semitones as a 4th is "Augmented 4th", as a 5th "Diminished 5th"),
+ * or two spelled notes to name the interval by their letters
+ * (E4→G4 is a "Minor 3rd", E4→F##4 an "Augmented 2nd").
  *
- * @param {number} semitones - 0–12
+ * @param {number|string} semitones      - Size in semitones, or the lower note name
+ * @param {number|string} [numberOrUpper] - Generic number, or the upper note name
  * @returns {string} Interval name
  */
-export function getIntervalName(semitones) {
-  const clamped = Math.abs(semitones) % 13;
-  return INTERVAL_NAMES[clamped] ?? `${semitones} semitones`;
+export function getIntervalName(semitones, numberOrUpper) {
+  if (typeof semitones === "string" && numberOrUpper) {
+    return describeInterval(semitones, numberOrUpper).name;
+  }
+  const size = Math.abs(semitones);
+  if (typeof numberOrUpper === "number") {
+    return describeIntervalSize(numberOrUpper, size).name;
+  }
+  return INTERVAL_NAMES[size] ?? `${semitones} semitones`;
 }
 
 /**
- * Get semitone count from an interval name.
+ * Get semitone count from an interval name. Accepts the INTERVAL_NAMES
+ * spellings, any quality-aware name ("Diminished 5th", "Major 10th")
+ * and abbreviations ("A4", "m9").
  *
  * @param {string} name - e.g. "Perfect 5th"
- * @returns {number} Semitones (0–12), or -1 if not found
+ * @returns {number} Semitones (0–24), or -1 if not found
  */
 export function getSemitones(name) {
   const idx = INTERVAL_NAMES.findIndex(
     (n) => n.toLowerCase() === name.toLowerCase()
   );
-  return idx;
+  if (idx !== -1) return idx;
+  return parseInterval(name)?.semitones ?? -1;
 }
 
 /**
@@ -183,105 +422,305 @@ export function getNoteRange(startOctave = 3, endNote = "C5") {
 /* ---------------------------------------------------------- */
 
 /**
- * Play a single note.
+ * Play a single note in the active tuning.
  *
- * @param {string} noteName   - Scientific pitch (e.g. "C4")
- * @param {number} [duration] - Duration in seconds (default 0.8)
+ * @param {string|number} noteName - Scientific pitch (e.g. "C4") or frequency in Hz
+ * @param {number} [duration]      - Duration in seconds (default 0.8)
  */
 export function playNote(noteName, duration = 0.8) {
   if (!synth) {
     console.warn("[audio] Call initAudio() first.");
     return;
   }
-  synth.triggerAttackRelease(noteName, duration);
+  const freq = typeof noteName === "number" ? noteName : noteToFrequency(noteName);
+  synth.triggerAttackRelease(freq, duration);
 }
 
 /**
- * Play an interval: two notes from a root.
+ * Play an interval: two notes from a root. Rendered offline (see
+ * renderEvents) so the gap between melodic notes is sample-accurate.
  *
  * @param {string} rootNote          - Root note (e.g. "C4")
  * @param {number} intervalSemitones - Semitones above root
  * @param {"harmonic"|"melodic-up"|"melodic-down"} mode - Playback mode
  * @param {number} [noteDuration]    - Per-note duration in seconds
+ * @returns {Promise<void>} Resolves once playback has started
  */
-export function playInterval(rootNote, intervalSemitones, mode = "melodic-up", noteDuration = 0.8) {
-  if (!synth) {
-    console.warn("[audio] Call initAudio() first.");
-    return;
-  }
-
+export async function playInterval(rootNote, intervalSemitones, mode = "melodic-up", noteDuration = 0.8) {
   const rootFreq = noteToFrequency(rootNote);
-  const secondFreq = rootFreq * Math.pow(2, intervalSemitones / 12);
-  const secondNote = frequencyToNote(secondFreq);
-  const secondName = secondNote.fullName;
-
-  const now = Tone.now();
+  const secondFreq = getIntervalFrequency(rootNote, intervalSemitones);
+  const gap = noteDuration + MELODIC_GAP_S;
 
+  let events;
   switch (mode) {
     case "harmonic":
-      synth.triggerAttackRelease(rootNote, noteDuration, now);
-      synth.triggerAttackRelease(secondName, noteDuration, now);
+      events = [
+        { note: rootFreq, time: 0, duration: noteDuration },
+        { note: secondFreq, time: 0, duration: noteDuration },
+      ];
       break;
 
     case "melodic-down":
-      synth.triggerAttackRelease(secondName, noteDuration, now);
-      synth.triggerAttackRelease(rootNote, noteDuration, now + noteDuration + 0.15);
+      events = [
+        { note: secondFreq, time: 0, duration: noteDuration },
+        { note: rootFreq, time: gap, duration: noteDuration },
+      ];
       break;
 
     case "melodic-up":
     default:
-      synth.triggerAttackRelease(rootNote, noteDuration, now);
-      synth.triggerAttackRelease(secondName, noteDuration, now + noteDuration + 0.15);
+      events = [
+        { note: rootFreq, time: 0, duration: noteDuration },
+        { note: secondFreq, time: gap, duration: noteDuration },
+      ];
       break;
   }
+
+  await playEvents(events);
+}
+
+/**
+ * Play several notes at once (rendered offline).
+ *
+ * @param {Array<string|number>} notes - Note names (e.g. "Eb4") or Hz
+ * @param {number} [duration]          - Duration in seconds (default 1.2)
+ * @returns {Promise<void>}
+ */
+export async function playChord(notes, duration = 1.2) {
+  await playEvents(notes.map((note) => ({ note, time: 0, duration })));
+}
+
+/**
+ * Play notes one after another (rendered offline).
+ *
+ * @param {Array<string|number>} notes - Note names or Hz
+ * @param {object} [options]
+ * @param {number} [options.noteDuration=0.55] - Sounding length of each note (s)
+ * @param {number} [options.spacing=0.7]       - Onset-to-onset time (s)
+ * @returns {Promise<void>}
+ */
+export async function playMelody(notes, { noteDuration = 0.55, spacing = 0.7 } = {}) {
+  await playEvents(notes.map((note, i) => ({ note, time: i * spacing, duration: noteDuration })));
+}
+
+/* ---------------------------------------------------------- */
+/*  Offline rendering                                         */
+/* ---------------------------------------------------------- */
+
+/**
+ * Render note events to an AudioBuffer with Tone.Offline, using the
+ * active instrument and tuning. Results are cached by content, so a
+ * replayed question costs nothing; the render itself is deterministic
+ * and can be inspected sample by sample.
+ *
+ * @param {Array<{ note: string|number, time: number, duration: number }>} events
+ *   Notes as names or Hz, with start time and length in seconds
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderEvents(events) {
+  if (typeof Tone === "undefined") {
+    throw new Error("Tone.js is not loaded. Include it via <script> before using audio.js.");
+  }
+
+  const resolved = events.map(({ note, time, duration }) => ({
+    freq: typeof note === "number" ? note : noteToFrequency(note),
+    time,
+    duration,
+  }));
+  const name = getInstrument();
+  const key = JSON.stringify([name, resolved]);
+
+  if (renderCache.has(key)) {
+    // Refresh recency so frequently replayed questions stay cached
+    const cached = renderCache.get(key);
+    renderCache.delete(key);
+    renderCache.set(key, cached);
+    return cached;
+  }
+
+  const preset = getInstrumentPreset(name);
+  const release = preset.options.envelope?.release ?? 1;
+  const length = Math.max(...resolved.map((e) => e.time + e.duration)) + release + RENDER_TAIL_S;
+
+  const rendered = await Tone.Offline(() => {
+    const offlineSynth = new Tone.PolySynth(Tone.Synth, { ...preset.options, volume: PLAYBACK_VOLUME_DB });
+    const effects = preset.buildEffects ? preset.buildEffects() : [];
+    offlineSynth.chain(...effects, Tone.Destination);
+    resolved.forEach(({ freq, time, duration }) => {
+      offlineSynth.triggerAttackRelease(freq, duration, time);
+    });
+  }, length);
+
+  const buffer = rendered.get();
+  renderCache.set(key, buffer);
+  if (renderCache.size > RENDER_CACHE_SIZE) {
+    renderCache.delete(renderCache.keys().next().value);
+  }
+  return buffer;
+}
+
+/** Drop all cached renders to free memory. */
+export function clearRenderCache() {
+  renderCache.clear();
+}
+
+/**
+ * Render and play events. Falls back to live scheduling on the
+ * playback synth if offline rendering fails.
+ */
+async function playEvents(events) {
+  if (!synth) {
+    console.warn("[audio] Call initAudio() first.");
+    return;
+  }
+
+  let buffer;
+  try {
+    buffer = await renderEvents(events);
+  } catch (err) {
+    console.warn("[audio] Offline render failed, playing live:", err);
+    const now = Tone.now();
+    events.forEach(({ note, time, duration }) => {
+      const freq = typeof note === "number" ? note : noteToFrequency(note);
+      synth.triggerAttackRelease(freq, duration, now + time);
+    });
+    return;
+  }
+
+  const player = new Tone.Player(buffer).toDestination();
+  player.onstop = () => player.dispose();
+  player.start();
 }
 
 /* ---------------------------------------------------------- */
-/*  Pitch Detection (autocorrelation)                         */
+/*  Pitch Detection                                           */
 /* ---------------------------------------------------------- */
 
+/**
+ * Select the pitch detection algorithm used by startPitchDetection().
+ * Applies immediately on the worklet path, otherwise on the next start.
+ *
+ * @param {"autocorrelation"|"yin"|"mcleod"} name - Algorithm name
+ */
+export function setPitchAlgorithm(name) {
+  if (!PITCH_ALGORITHMS.includes(name)) {
+    throw new Error(`Unknown pitch algorithm: "${name}"`);
+  }
+  pitchAlgorithm = name;
+  if (pitchWorker) {
+    pitchWorker.postMessage({ type: "algorithm", algorithm: name });
+  }
+  if (pageAnalyser) {
+    pageAnalyser.algorithm = name;
+  }
+}
+
+/**
+ * Get the currently selected pitch detection algorithm.
+ *
+ * @returns {string}
+ */
+export function getPitchAlgorithm() {
+  return pitchAlgorithm;
+}
+
+/**
+ * Which analysis path the running detection uses.
+ *
+ * @returns {"worklet"|"animation-frame"|null} null when detection is stopped
+ */
+export function getPitchDetectionBackend() {
+  return detectionBackend;
+}
+
 /**
  * Start pitch detection using the microphone.
- * Calls `callback(frequency, noteInfo)` on each analysis frame.
- * `noteInfo` is the result of `frequencyToNote()`, or null if no pitch detected.
+ * Calls `callback(frequency, noteInfo, frame)` on each analysis frame.
+ * `noteInfo` is the result of `frequencyToNote()`, or null if no pitch
+ * detected. `frame` carries `{ frequency, clarity, rms, algorithm }` so
+ * callers can apply their own confidence rules.
  *
- * @param {function} callback - Called with (frequency, noteInfo) per frame
+ * @param {function} callback            - Called with (frequency, noteInfo, frame) per frame
+ * @param {object}   [options]
+ * @param {string}   [options.algorithm]  - Override the selected algorithm
+ * @param {number}   [options.minClarity] - Report frames below this clarity (0–1) as unpitched
  * @returns {Promise<void>}
  */
-export async function startPitchDetection(callback) {
-  if (detectionRunning) return;
+export async function startPitchDetection(callback, options = {}) {
+  if (detectionRunning || detectionStarting) return;
+  detectionStarting = true;
+  const generation = ++detectionGeneration;
+
+  const algorithm = options.algorithm || pitchAlgorithm;
+  const minClarity = options.minClarity ?? 0;
 
   const ctx = audioContext || new (window.AudioContext || window.webkitAudioContext)();
   if (!audioContext) audioContext = ctx;
 
+  let stream;
   try {
-    micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
   } catch (err) {
+    if (generation === detectionGeneration) detectionStarting = false;
     throw new Error(
       "Microphone access denied. Please allow mic access to use pitch detection."
     );
   }
 
-  const source = ctx.createMediaStreamSource(micStream);
+  // stopPitchDetection() may have been called while the prompt was open
+  if (generation !== detectionGeneration) {
+    stream.getTracks().forEach((t) => t.stop());
+    return;
+  }
+
+  micStream = stream;
+  micSource = ctx.createMediaStreamSource(micStream);
+
+  function handleFrame(result) {
+    if (!detectionRunning) return;
+    const frame = { ...result, algorithm: result.algorithm || algorithm };
+
+    if (result.frequency > 0 && result.clarity >= minClarity) {
+      const noteInfo = frequencyToNote(result.frequency);
+      callback(result.frequency, noteInfo, frame);
+    } else {
+      callback(0, null, frame);
+    }
+  }
+
+  const node = await createPitchWorklet(ctx);
+
+  // stopPitchDetection() may have been called while the module loaded;
+  // it has already released the mic
+  if (generation !== detectionGeneration) {
+    node?.disconnect();
+    return;
+  }
+
+  detectionStarting = false;
+  detectionRunning = true;
+  workletNode = node;
+
+  if (workletNode) {
+    detectionBackend = "worklet";
+    analyseWorkletSamples(ctx.sampleRate, algorithm, handleFrame);
+    micSource.connect(workletNode);
+    return;
+  }
+
+  // Fallback: poll an AnalyserNode once per animation frame
+  detectionBackend = "animation-frame";
   analyserNode = ctx.createAnalyser();
   analyserNode.fftSize = 4096;
-  source.connect(analyserNode);
+  micSource.connect(analyserNode);
 
   const buffer = new Float32Array(analyserNode.fftSize);
-  detectionRunning = true;
 
   function detect() {
     if (!detectionRunning) return;
 
     analyserNode.getFloatTimeDomainData(buffer);
-    const freq = autocorrelate(buffer, ctx.sampleRate);
-
-    if (freq > 0) {
-      const noteInfo = frequencyToNote(freq);
-      callback(freq, noteInfo);
-    } else {
-      callback(0, null);
-    }
+    handleFrame(detectPitch(buffer, ctx.sampleRate, { algorithm }));
 
     detectionFrameId = requestAnimationFrame(detect);
   }
@@ -294,89 +733,243 @@ export async function startPitchDetection(callback) {
  */
 export function stopPitchDetection() {
   detectionRunning = false;
+  detectionStarting = false;
+  detectionGeneration++;
 
   if (detectionFrameId) {
     cancelAnimationFrame(detectionFrameId);
     detectionFrameId = null;
   }
 
+  if (workletNode) {
+    workletNode.port.postMessage({ type: "stop" });
+    workletNode.port.onmessage = null;
+    workletNode.disconnect();
+    workletNode = null;
+  }
+
+  if (pitchWorker) {
+    pitchWorker.terminate();
+    pitchWorker = null;
+  }
+  pageAnalyser = null;
+
+  if (micSource) {
+    micSource.disconnect();
+    micSource = null;
+  }
+
   if (micStream) {
     micStream.getTracks().forEach((t) => t.stop());
     micStream = null;
   }
 
   analyserNode = null;
+  detectionBackend = null;
 }
 
+/* ---------------------------------------------------------- */
+/*  Note segmentation                                         */
+/* ---------------------------------------------------------- */
+
+const SEGMENTER_DEFAULTS = {
+  minNoteMs: 250,   // a pitch must hold this long before it counts as a note
+  releaseMs: 150,   // unvoiced / off-pitch gap tolerated inside a note
+  minClarity: 0,    // frames below this clarity count as unvoiced
+  onNoteStart: null,
+  onNoteEnd: null,
+  now: () => performance.now(),
+};
+
 /**
- * Autocorrelation pitch detection.
- * Returns the detected fundamental frequency in Hz, or -1 if no clear pitch.
+ * Create a note segmenter that turns the per-frame pitch stream into
+ * discrete note events. Feed it straight from pitch detection:
+ *
+ *   const seg = createNoteSegmenter({ onNoteStart, onNoteEnd });
+ *   startPitchDetection(seg.push);
+ *
+ * Every event has the shape
+ *   { note, startTime, duration, frequency, medianCents, confidence }
+ * with times in milliseconds (`now()` clock). `onNoteStart` fires once a
+ * pitch has been stable for `minNoteMs`; `onNoteEnd` fires when the note
+ * stops or a different note takes over, with the final duration.
  *
- * @param {Float32Array} buffer     - Time-domain audio samples
- * @param {number}       sampleRate - Audio context sample rate
- * @returns {number} Frequency in Hz, or -1
+ * @param {object}   [options]
+ * @param {number}   [options.minNoteMs]   - Stability time before an onset is reported
+ * @param {number}   [options.releaseMs]   - Gap allowed before a note is considered over
+ * @param {number}   [options.minClarity]  - Clarity floor for voiced frames
+ * @param {function} [options.onNoteStart] - Called with the event at onset
+ * @param {function} [options.onNoteEnd]   - Called with the completed event
+ * @param {function} [options.now]         - Clock in ms (injectable for offline use)
+ * @returns {{ push: function, flush: function, reset: function, getActiveNote: function }}
  */
-function autocorrelate(buffer, sampleRate) {
-  const n = buffer.length;
-
-  // Check if signal is loud enough (RMS)
-  let rms = 0;
-  for (let i = 0; i < n; i++) {
-    rms += buffer[i] * buffer[i];
-  }
-  rms = Math.sqrt(rms / n);
-  if (rms < 0.01) return -1; // Too quiet
-
-  // Trim silence from edges
-  let start = 0;
-  let end = n - 1;
-  const threshold = 0.2;
-  while (start < n && Math.abs(buffer[start]) < threshold) start++;
-  while (end > 0 && Math.abs(buffer[end]) < threshold) end--;
-
-  if (end <= start) return -1;
-
-  const trimmed = buffer.slice(start, end + 1);
-  const len = trimmed.length;
-
-  // Autocorrelation
-  const corr = new Float32Array(len);
-  for (let lag = 0; lag < len; lag++) {
-    let sum = 0;
-    for (let i = 0; i < len - lag; i++) {
-      sum += trimmed[i] * trimmed[i + lag];
+export function createNoteSegmenter(options = {}) {
+  const opts = { ...SEGMENTER_DEFAULTS, ...options };
+
+  let candidate = null; // { note, startTime, frames[] } — not yet a note
+  let active = null;    // { note, startTime, lastVoiced, frames[] }
+
+  function toEvent(seg, endTime) {
+    const freqs = seg.frames.map((f) => f.frequency);
+    return {
+      note: seg.note,
+      startTime: seg.startTime,
+      duration: Math.max(0, endTime - seg.startTime),
+      frequency: median(freqs),
+      medianCents: Math.round(median(seg.frames.map((f) => f.cents))),
+      confidence: median(seg.frames.map((f) => f.clarity)),
+    };
+  }
+
+  function endActive(endTime) {
+    if (!active) return;
+    const event = toEvent(active, endTime);
+    active = null;
+    if (opts.onNoteEnd) opts.onNoteEnd(event);
+  }
+
+  function push(frequency, noteInfo, frame, time = opts.now()) {
+    const clarity = frame?.clarity ?? 1;
+    const voiced = frequency > 0 && noteInfo && clarity >= opts.minClarity;
+
+    // Close the current note once it has been silent / off-pitch too long
+    if (active && time - active.lastVoiced >= opts.releaseMs) {
+      endActive(active.lastVoiced);
+    }
+
+    if (!voiced) {
+      candidate = null;
+      return;
+    }
+
+    const sample = { frequency, cents: noteInfo.cents, clarity };
+    const note = noteInfo.fullName;
+
+    if (active && note === active.note) {
+      active.frames.push(sample);
+      active.lastVoiced = time;
+      candidate = null;
+      return;
     }
-    corr[lag] = sum;
+
+    if (!candidate || candidate.note !== note) {
+      candidate = { note, startTime: time, frames: [sample] };
+      return;
+    }
+
+    candidate.frames.push(sample);
+    if (time - candidate.startTime < opts.minNoteMs) return;
+
+    // Onset confirmed: a new note replaces whatever was sounding
+    endActive(candidate.startTime);
+    active = { ...candidate, lastVoiced: time };
+    candidate = null;
+    if (opts.onNoteStart) opts.onNoteStart(toEvent(active, time));
   }
 
-  // Find first dip then first peak after it
-  let d = 0;
-  while (d < len && corr[d] > 0) d++;
-  if (d >= len) return -1;
+  return {
+    /** Feed one pitch frame; signature matches the startPitchDetection callback. */
+    push,
+
+    /** End any sounding note now (e.g. when detection stops). */
+    flush(time = opts.now()) {
+      candidate = null;
+      if (active) endActive(Math.min(time, active.lastVoiced));
+    },
+
+    /** Drop all state without firing events. */
+    reset() {
+      candidate = null;
+      active = null;
+    },
+
+    /**
+     * Snapshot of the note currently sounding, or null.
+     * @returns {object|null} Event with the duration so far
+     */
+    getActiveNote(time = opts.now()) {
+      return active ? toEvent(active, time) : null;
+    },
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Load the sample worklet into `ctx` (once) and create a node for it.
+ * Returns null when AudioWorklet is unavailable (older browsers,
+ * insecure origins, wrapped contexts) so callers can fall back.
+ *
+ * @param {BaseAudioContext} ctx
+ * @returns {Promise<AudioWorkletNode|null>}
+ */
+async function createPitchWorklet(ctx) {
+  if (!ctx.audioWorklet || typeof AudioWorkletNode === "undefined") return null;
 
-  let maxVal = -1;
-  let maxPos = -1;
-  for (let i = d; i < len; i++) {
-    if (corr[i] > maxVal) {
-      maxVal = corr[i];
-      maxPos = i;
+  try {
+    if (workletContext !== ctx) {
+      await ctx.audioWorklet.addModule(PITCH_WORKLET_URL);
+      workletContext = ctx;
     }
+    return new AudioWorkletNode(ctx, PITCH_WORKLET_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+    });
+  } catch (err) {
+    console.warn("[audio] AudioWorklet unavailable, using main-thread analysis:", err);
+    return null;
   }
+}
 
-  if (maxPos === -1) return -1;
+/**
+ * Run the detector on the worklet's sample blocks: in a pitch Worker,
+ * fed straight from the worklet over a MessageChannel, or on the page
+ * when module workers are unavailable or the worker fails to load.
+ *
+ * @param {number}   sampleRate
+ * @param {string}   algorithm
+ * @param {function} onFrame - Called with { frequency, clarity, rms, algorithm, time }
+ */
+function analyseWorkletSamples(sampleRate, algorithm, onFrame) {
+  const analyseOnPage = () => {
+    pageAnalyser = createFrameAnalyser(sampleRate, { algorithm });
+    const onBlock = analyseLatestBlock(pageAnalyser, onFrame);
+    workletNode.port.onmessage = (e) => onBlock(e.data);
+  };
 
-  // Parabolic interpolation for sub-sample accuracy
-  const y1 = maxPos > 0 ? corr[maxPos - 1] : corr[maxPos];
-  const y2 = corr[maxPos];
-  const y3 = maxPos < len - 1 ? corr[maxPos + 1] : corr[maxPos];
-  const shift = (y3 - y1) / (2 * (2 * y2 - y1 - y3));
-  const refinedPos = maxPos + (isFinite(shift) ? shift : 0);
+  try {
+    pitchWorker = new Worker(PITCH_WORKER_URL, { type: "module" });
+  } catch (err) {
+    console.warn("[audio] Pitch worker unavailable, analysing on the main thread:", err);
+    analyseOnPage();
+    return;
+  }
 
-  return sampleRate / refinedPos;
+  const worker = pitchWorker;
+  const channel = new MessageChannel();
+  worker.onmessage = (e) => onFrame(e.data);
+  worker.onerror = (e) => {
+    console.warn("[audio] Pitch worker failed, analysing on the main thread:", e.message);
+    worker.terminate();
+    if (pitchWorker !== worker) return; // detection already stopped or restarted
+    pitchWorker = null;
+    workletNode.port.postMessage({ type: "output" });
+    analyseOnPage();
+  };
+  worker.postMessage({ type: "start", port: channel.port2, sampleRate, algorithm }, [channel.port2]);
+  workletNode.port.postMessage({ type: "output", port: channel.port1 }, [channel.port1]);
 }
 
 /* ---------------------------------------------------------- */
 /*  Exports for convenience                                   */
 /* ---------------------------------------------------------- */
 
-export { NOTE_NAMES, NOTE_DISPLAY, INTERVAL_NAMES };
+export {
+  NOTE_NAMES, NOTE_DISPLAY, INTERVAL_NAMES, INTERVALS, TEMPERAMENTS, INSTRUMENTS, PITCH_ALGORITHMS,
+  SINGING_TOLERANCE, RENDER_TAIL_S, detectPitch,
+};
@@ -0,0 +1,333 @@
+/**
+ * Music Theory Games — Progress Backup
+ * shared/backup.js
+ *
+ * Exports everything the games store (profiles, leaderboards,
+ * preferences, ai.js performance and attempt history, strumming custom
+ * patterns and calibration, Skratch rules and workspaces) into one
+ * versioned JSON file, and imports it back on any machine.
+ *
+ * `mtt_*` keys come from shared/storage.js, Skratch keys from
+ * localStorage. Each value is written as a JSON string, the format
+ * localStorage used, so version 1 files (made before the storage layer
+ * existed) still import. Import either replaces all game data or merges
+ * it key by key (see MERGE_STRATEGIES).
+ */
+
+import {
+  getItem, setItem, removeItem, listKeys, addAttempts, getAttempts, deleteAttempts, storageReady,
+} from "./storage.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const BACKUP_FORMAT = "music-theory-games-backup";
+const BACKUP_VERSION = 2; // 2: adds the attempt log
+
+// Every key the games own starts with one of these
+const STORAGE_PREFIX = "mtt_";
+const LOCAL_PREFIXES = ["skratch-rules", "skratch-studio-workspace"];
+
+// Same cap progress.js applies when it writes
+const MAX_LEADERBOARD_SIZE = 100;
+
+/* Merge rules, matched against the key with any "__<profileId>" suffix
+   removed. Keys without a rule keep the local value if there is one. */
+const MERGE_STRATEGIES = [
+  { test: (key) => key.startsWith("mtt_leaderboard_"), merge: mergeLeaderboards },
+  { test: (key) => key.startsWith("mtt_ai_"), merge: mergePerformance },
+  { test: (key) => key === "mtt_prefs", merge: (local, incoming) => ({ ...incoming, ...local }) },
+  { test: (key) => key === "mtt_curriculum", merge: (local, incoming) => ({ ...incoming, ...local }) },
+  { test: (key) => key === "mtt_achievements", merge: mergeAchievements },
+  { test: (key) => key === "mtt_profiles", merge: mergeProfiles },
+  { test: (key) => key === "mtt_strumming_custom_patterns", merge: (l, i) => unionBy(l, i, (p) => p.id) },
+];
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function isLocalKey(key) {
+  return LOCAL_PREFIXES.some((prefix) => key.startsWith(prefix));
+}
+
+function isOwnedKey(key) {
+  return key.startsWith(STORAGE_PREFIX) || isLocalKey(key);
+}
+
+function localKeys() {
+  const keys = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (isLocalKey(key)) keys.push(key);
+    }
+  } catch {
+    console.warn("[backup] localStorage is unavailable");
+  }
+  return keys;
+}
+
+/** Current value of an owned key as a JSON string, or null if unset. */
+function readRaw(key) {
+  if (isLocalKey(key)) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  }
+  const value = getItem(key);
+  return value === null ? null : JSON.stringify(value);
+}
+
+async function writeRaw(key, raw) {
+  if (isLocalKey(key)) {
+    try {
+      localStorage.setItem(key, raw);
+      return true;
+    } catch {
+      console.warn(`[backup] Failed to write to localStorage key "${key}"`);
+      return false;
+    }
+  }
+  const value = parseOrNull(raw);
+  return setItem(key, value === null ? raw : value);
+}
+
+function attemptId(a) {
+  return `${a.profileId}|${a.game}|${a.skill}|${a.timestamp}`;
+}
+
+function baseKey(key) {
+  const idx = key.indexOf("__");
+  return idx === -1 ? key : key.slice(0, idx);
+}
+
+function parseOrNull(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/** Union two arrays, incoming items replacing local ones with the same id. */
+function unionBy(local, incoming, idOf) {
+  const merged = new Map();
+  for (const item of [...(local || []), ...(incoming || [])]) {
+    merged.set(idOf(item), item);
+  }
+  return [...merged.values()];
+}
+
+function mergeLeaderboards(local, incoming) {
+  return unionBy(local, incoming, (e) => `${e.date}|${e.playerName}|${e.score}`)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_LEADERBOARD_SIZE);
+}
+
+function mergePerformance(local, incoming) {
+  const skills = { ...(incoming?.skills || {}) };
+  for (const [name, skill] of Object.entries(local?.skills || {})) {
+    const other = skills[name];
+    // Skill totals are cumulative, so keep whichever record is further along
+    if (!other || (skill.attempts ?? 0) >= (other.attempts ?? 0)) skills[name] = skill;
+  }
+  const sessions = unionBy(local?.sessions, incoming?.sessions, (s) => s.date)
+    .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  return { ...incoming, ...local, skills, sessions };
+}
+
+function mergeAchievements(local, incoming) {
+  // Keep the earliest date for each badge and the larger of each counter
+  const earned = { ...(incoming?.earned || {}) };
+  for (const [id, date] of Object.entries(local?.earned || {})) {
+    if (!earned[id] || date < earned[id]) earned[id] = date;
+  }
+  const counters = { ...(incoming?.counters || {}) };
+  for (const [name, value] of Object.entries(local?.counters || {})) {
+    const other = counters[name];
+    counters[name] = Array.isArray(value)
+      ? [...new Set([...(other || []), ...value])]
+      : Math.max(value, other ?? 0);
+  }
+  return { earned, counters };
+}
+
+function mergeProfiles(local, incoming) {
+  if (!local) return incoming;
+  return {
+    ...local,
+    profiles: unionBy(incoming?.profiles, local.profiles, (p) => p.id),
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  Export                                                    */
+/* ---------------------------------------------------------- */
+
+/**
+ * Collect all game data into a backup object.
+ *
+ * @returns {Promise<{ format: string, version: number, exportedAt: string,
+ *                     data: Object<string, string>, attempts: Array<object> }>}
+ */
+export async function exportData() {
+  // Back up what is saved, not the start-up snapshot
+  await storageReady;
+  const data = {};
+  for (const key of [...listKeys(STORAGE_PREFIX), ...localKeys()]) {
+    data[key] = readRaw(key);
+  }
+  const attempts = (await getAttempts()).map(({ id, ...attempt }) => attempt);
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data,
+    attempts,
+  };
+}
+
+/**
+ * Export all game data and download it as a JSON file.
+ *
+ * @param {string} [filename] - Defaults to "music-theory-games-YYYY-MM-DD.json"
+ * @returns {Promise<void>}
+ */
+export async function downloadBackup(filename) {
+  const backup = await exportData();
+  const name = filename || `music-theory-games-${backup.exportedAt.slice(0, 10)}.json`;
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/* ---------------------------------------------------------- */
+/*  Import                                                    */
+/* ---------------------------------------------------------- */
+
+/**
+ * Check that an object is a backup this version can import.
+ * Throws an Error describing the first problem found.
+ *
+ * @param {*} backup - Parsed file contents
+ * @returns {true}
+ */
+export function validateBackup(backup) {
+  if (!backup || typeof backup !== "object" || Array.isArray(backup)) {
+    throw new Error("Backup file is not a JSON object");
+  }
+  if (backup.format !== BACKUP_FORMAT) {
+    throw new Error("This file is not a Music Theory Games backup");
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    throw new Error("Backup has no valid version number");
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION})`);
+  }
+  if (!backup.data || typeof backup.data !== "object" || Array.isArray(backup.data)) {
+    throw new Error("Backup has no data section");
+  }
+  for (const [key, value] of Object.entries(backup.data)) {
+    if (!isOwnedKey(key)) {
+      throw new Error(`Backup contains an unknown key: "${key}"`);
+    }
+    if (typeof value !== "string") {
+      throw new Error(`Backup value for "${key}" must be a string`);
+    }
+  }
+  if (backup.attempts !== undefined) {
+    if (!Array.isArray(backup.attempts)) {
+      throw new Error("Backup attempt history must be an array");
+    }
+    const bad = backup.attempts.find((a) =>
+      !a || typeof a !== "object" ||
+      ["profileId", "game", "skill", "timestamp"].some((field) => typeof a[field] !== "string"));
+    if (bad !== undefined) {
+      throw new Error("Backup attempt history contains an invalid entry");
+    }
+  }
+  return true;
+}
+
+/**
+ * Import a backup.
+ *
+ * @param {object} backup  - Parsed backup (see exportData)
+ * @param {object} [options]
+ * @param {"merge"|"replace"} [options.mode="merge"]
+ *   replace: delete all current game data, then restore the backup.
+ *   merge:   combine key by key — scores, sessions, attempts, badges, profiles
+ *            and custom patterns are unioned; other local values win over the file.
+ * @returns {Promise<{ written: number, kept: number, attempts: number }>}
+ *   Keys written / left as they were, and attempts added
+ */
+export async function importData(backup, { mode = "merge" } = {}) {
+  validateBackup(backup);
+  if (mode !== "merge" && mode !== "replace") {
+    throw new Error(`Unknown import mode: "${mode}"`);
+  }
+  await storageReady;
+
+  if (mode === "replace") {
+    await Promise.all(listKeys(STORAGE_PREFIX).map((key) => removeItem(key)));
+    localKeys().forEach((key) => localStorage.removeItem(key));
+    await deleteAttempts();
+  }
+
+  let written = 0;
+  let kept = 0;
+  for (const [key, raw] of Object.entries(backup.data)) {
+    const localRaw = readRaw(key);
+    let value = raw;
+
+    if (localRaw !== null) {
+      const strategy = MERGE_STRATEGIES.find((s) => s.test(baseKey(key)));
+      const local = parseOrNull(localRaw);
+      const incoming = parseOrNull(raw);
+      if (!strategy || local === null || incoming === null) {
+        kept++;
+        continue;
+      }
+      value = JSON.stringify(strategy.merge(local, incoming));
+    }
+
+    if (await writeRaw(key, value)) written++;
+  }
+
+  const known = new Set((await getAttempts()).map(attemptId));
+  const newAttempts = (backup.attempts || []).filter((a) => !known.has(attemptId(a)));
+  if (newAttempts.length > 0) await addAttempts(newAttempts);
+
+  return { written, kept, attempts: newAttempts.length };
+}
+
+/**
+ * Read and validate a backup file chosen by the user.
+ *
+ * @param {File} file - From an <input type="file">
+ * @returns {Promise<object>} The parsed backup
+ */
+export async function readBackupFile(file) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch {
+    throw new Error("Backup file is not valid JSON");
+  }
+  validateBackup(backup);
+  return backup;
+}
+
+export { BACKUP_FORMAT, BACKUP_VERSION };
@@ -2,10 +2,41 @@
  * Music Theory Games — Configuration Template
  * shared/config.example.js
  *
- * Copy this file to shared/config.js and add your Anthropic API key.
- * config.js is gitignored and will not be committed.
+ * Copy this file to shared/config.js and choose how the AI tutor is
+ * reached. config.js is gitignored and will not be committed.
  *
  *   cp shared/config.example.js shared/config.js
+ *
+ * Leave everything empty to turn the AI tutor off.
+ */
+
+/**
+ * "anthropic" — call Claude straight from the browser with CLAUDE_API_KEY.
+ *               Only for a personal machine: the key is visible to anyone
+ *               using the page.
+ * "proxy"     — call Claude through TUTOR_ENDPOINT, a server that keeps the
+ *               key (see server/tutor-proxy.mjs).
+ * "openai"    — call an OpenAI-compatible /v1/chat/completions endpoint,
+ *               such as a local model server on the classroom network.
  */
+export const TUTOR_PROVIDER = "anthropic";
 
+/** Anthropic API key, used only by the "anthropic" provider. */
 export const CLAUDE_API_KEY = "";
+
+/**
+ * Full URL the tutor posts to, e.g.
+ *   proxy:  "http://192.168.1.20:8787/v1/messages"
+ *   openai: "http://192.168.1.20:11434/v1/chat/completions"
+ * Optional for "anthropic" (defaults to the Anthropic API).
+ */
+export const TUTOR_ENDPOINT = "";
+
+/**
+ * Model name. Required for "openai"; optional for "anthropic". Ignored by
+ * "proxy" — the proxy picks its model (TUTOR_MODEL on the server).
+ */
+export const TUTOR_MODEL = "";
+
+/** Optional bearer token for "openai" servers that ask for one. */
+export const TUTOR_API_KEY = "";
@@ -0,0 +1,334 @@
+/**
+ * Music Theory Games — Curriculum
+ * shared/curriculum.js
+ *
+ * A learning path of lessons across harmony, chords, scales, melody,
+ * rhythm and strumming. Each lesson names a game and difficulty, the lessons that
+ * must be mastered first, and mastery criteria checked against data the
+ * games already record:
+ *
+ *   sessions — ai.js session history (chords, scales, melody, strumming)
+ *   scores   — progress.js leaderboard entries (harmony, rhythm). Their
+ *              ai.js sessions also include practice runs and tests quit
+ *              part-way, so these lessons count finished tests only
+ *   skills   — ai.js per-skill accuracy
+ *
+ * Once mastered, a lesson stays mastered for that player even if the
+ * underlying history is cleared.
+ */
+
+import { getPerformance } from "./ai.js";
+import { getLeaderboard } from "./progress.js";
+import { profileKey } from "./profiles.js";
+import { getItem, setItem } from "./storage.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const MASTERED_KEY = () => profileKey("mtt_curriculum");
+
+const GAME_PAGES = {
+  "harmony-training": "harmony/index.html",
+  chords: "chords/index.html",
+  scales: "scales/index.html",
+  melody: "melody/index.html",
+  rhythm: "rhythm/index.html",
+  strumming: "strumming/index.html",
+};
+
+/**
+ * @typedef {Object} MasteryCriterion
+ * @property {"sessions"|"scores"|"skills"} source
+ * @property {string}   [difficulty]  - Only count results at this difficulty
+ * @property {string}   [exercise]    - Only count results from this exercise of the game
+ *                                      (results that don't name one always count)
+ * @property {number}   [count]       - sessions/scores: results needed at minAccuracy or better
+ * @property {number}   minAccuracy   - Percent (0–100)
+ * @property {string[]} [skills]      - skills: every skill must reach minAccuracy
+ * @property {number}   [minAttempts] - skills: attempts needed per skill
+ */
+
+/**
+ * @typedef {Object} Lesson
+ * @property {string} id
+ * @property {string} game           - Game id used by progress.js / ai.js
+ * @property {string} title
+ * @property {string} description
+ * @property {string} difficulty     - Difficulty to pick on the game's setup screen
+ * @property {string[]} prerequisites - Lesson ids
+ * @property {MasteryCriterion[]} mastery - All must pass
+ */
+
+/** @type {Lesson[]} */
+const LESSONS = [
+  {
+    id: "harmony-1", game: "harmony-training", difficulty: "easy",
+    title: "Find the Fifth", description: "Sing intervals above a note, within 50 cents.",
+    prerequisites: [],
+    mastery: [{ source: "scores", difficulty: "easy", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "rhythm-1", game: "rhythm", difficulty: "easy",
+    title: "Keep the Beat", description: "Clap along with the metronome.",
+    prerequisites: [],
+    mastery: [{ source: "scores", difficulty: "easy", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "chords-1", game: "chords", difficulty: "easy",
+    title: "Happy or Sad?", description: "Hear the difference between major and minor chords.",
+    prerequisites: ["harmony-1"],
+    mastery: [
+      { source: "sessions", exercise: "quality", difficulty: "easy", count: 2, minAccuracy: 80 },
+      { source: "skills", skills: ["Major", "Minor"], minAttempts: 10, minAccuracy: 80 },
+    ],
+  },
+  {
+    id: "melody-1", game: "melody", difficulty: "easy",
+    title: "Echo Steps", description: "Sing back short melodies that move by step.",
+    prerequisites: ["harmony-1"],
+    mastery: [{ source: "sessions", difficulty: "easy", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "harmony-2", game: "harmony-training", difficulty: "medium",
+    title: "Tighter Tuning", description: "Hold intervals within 30 cents.",
+    prerequisites: ["harmony-1"],
+    mastery: [{ source: "scores", difficulty: "medium", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "rhythm-2", game: "rhythm", difficulty: "medium",
+    title: "Right on Time", description: "Clap within 50 ms of the beat.",
+    prerequisites: ["rhythm-1"],
+    mastery: [{ source: "scores", difficulty: "medium", count: 2, minAccuracy: 75 }],
+  },
+  {
+    id: "strumming-1", game: "strumming", difficulty: "easy",
+    title: "First Strums", description: "Play a strumming pattern in time.",
+    prerequisites: ["rhythm-1"],
+    mastery: [{ source: "sessions", difficulty: "easy", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "chords-2", game: "chords", difficulty: "medium",
+    title: "Diminished & Augmented", description: "Add the tense diminished and floaty augmented chords.",
+    prerequisites: ["chords-1"],
+    mastery: [
+      { source: "sessions", exercise: "quality", difficulty: "medium", count: 2, minAccuracy: 75 },
+      { source: "skills", skills: ["Diminished"], minAttempts: 10, minAccuracy: 75 },
+    ],
+  },
+  {
+    id: "melody-2", game: "melody", difficulty: "medium",
+    title: "Skipping Thirds", description: "Melodies that skip a note.",
+    prerequisites: ["melody-1"],
+    mastery: [{ source: "sessions", difficulty: "medium", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "harmony-3", game: "harmony-training", difficulty: "hard",
+    title: "Fine Tuning", description: "Hold intervals within 15 cents.",
+    prerequisites: ["harmony-2"],
+    mastery: [{ source: "scores", difficulty: "hard", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "strumming-2", game: "strumming", difficulty: "medium",
+    title: "Steady Strumming", description: "Strum within 60 ms of every beat.",
+    prerequisites: ["strumming-1", "rhythm-2"],
+    mastery: [{ source: "sessions", difficulty: "medium", count: 2, minAccuracy: 75 }],
+  },
+  {
+    id: "chords-3", game: "chords", difficulty: "hard",
+    title: "Sus, Sevenths & Inversions", description: "Suspended and dominant 7th chords, with the notes rearranged.",
+    prerequisites: ["chords-2"],
+    mastery: [{ source: "sessions", exercise: "quality", difficulty: "hard", count: 2, minAccuracy: 75 }],
+  },
+  {
+    id: "melody-3", game: "melody", difficulty: "hard",
+    title: "Big Leaps", description: "Melodies with wide jumps.",
+    prerequisites: ["melody-2", "harmony-2"],
+    mastery: [{ source: "sessions", difficulty: "hard", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "scales-1", game: "scales", difficulty: "easy",
+    title: "Major or Minor Scale?", description: "Hear whether a scale sounds bright or dark.",
+    prerequisites: ["chords-1", "melody-1"],
+    mastery: [
+      { source: "sessions", difficulty: "easy", count: 2, minAccuracy: 80 },
+      { source: "skills", skills: ["Major", "Natural Minor"], minAttempts: 10, minAccuracy: 80 },
+    ],
+  },
+  {
+    id: "scales-2", game: "scales", difficulty: "medium",
+    title: "Pentatonic & Blues", description: "Five-note scales, the blue note and the harmonic minor.",
+    prerequisites: ["scales-1"],
+    mastery: [
+      { source: "sessions", difficulty: "medium", count: 2, minAccuracy: 75 },
+      { source: "skills", skills: ["Minor Pentatonic", "Blues"], minAttempts: 10, minAccuracy: 75 },
+    ],
+  },
+  {
+    id: "scales-3", game: "scales", difficulty: "hard",
+    title: "Church Modes", description: "Dorian, Lydian and Mixolydian — major and minor with a twist.",
+    prerequisites: ["scales-2", "chords-2"],
+    mastery: [{ source: "sessions", difficulty: "hard", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "harmony-4", game: "harmony-training", difficulty: "expert",
+    title: "Compound & Altered", description: "Tritones, ninths and beyond, within 10 cents.",
+    prerequisites: ["harmony-3", "chords-3"],
+    mastery: [{ source: "scores", difficulty: "expert", count: 2, minAccuracy: 70 }],
+  },
+  {
+    id: "chords-4", game: "chords", difficulty: "expert",
+    title: "Jazz Colours", description: "Every seventh chord, including half-diminished and diminished 7ths.",
+    prerequisites: ["chords-3"],
+    mastery: [
+      { source: "sessions", exercise: "quality", difficulty: "expert", count: 2, minAccuracy: 70 },
+      { source: "skills", skills: ["Half-Diminished", "Diminished 7th"], minAttempts: 10, minAccuracy: 70 },
+    ],
+  },
+];
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function getMasteredIds() {
+  return getItem(MASTERED_KEY(), {});
+}
+
+/** Results (sessions or leaderboard entries) at or above the criterion's bar. */
+function countPassingResults(game, criterion) {
+  const results = criterion.source === "sessions"
+    ? getPerformance(game).sessions
+    : getLeaderboard(game, Infinity).map((e) => e.metadata || {});
+  return results.filter((r) =>
+    (!criterion.difficulty || r.difficulty === criterion.difficulty) &&
+    (!criterion.exercise || !r.exercise || r.exercise === criterion.exercise) &&
+    (r.accuracy ?? 0) >= criterion.minAccuracy
+  ).length;
+}
+
+/**
+ * Evaluate one criterion.
+ *
+ * @returns {{ passed: boolean, progress: number, detail: string }}
+ */
+function checkCriterion(game, criterion) {
+  if (criterion.source === "skills") {
+    const skills = getPerformance(game).skills;
+    const passing = criterion.skills.filter((name) => {
+      const s = skills[name];
+      return s && s.attempts >= criterion.minAttempts &&
+        (s.hits / s.attempts) * 100 >= criterion.minAccuracy;
+    });
+    return {
+      passed: passing.length === criterion.skills.length,
+      progress: passing.length / criterion.skills.length,
+      detail: `${criterion.skills.join(", ")} at ${criterion.minAccuracy}%+ (${criterion.minAttempts}+ tries each)`,
+    };
+  }
+
+  const count = countPassingResults(game, criterion);
+  const noun = criterion.source === "sessions" ? "sessions" : "tests";
+  return {
+    passed: count >= criterion.count,
+    progress: Math.min(1, count / criterion.count),
+    detail: `${Math.min(count, criterion.count)}/${criterion.count} ${noun} at ${criterion.minAccuracy}%+`,
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  Lessons                                                   */
+/* ---------------------------------------------------------- */
+
+/**
+ * All lessons, in suggested order.
+ *
+ * @returns {Lesson[]}
+ */
+export function getLessons() {
+  return LESSONS.map((lesson) => ({ ...lesson }));
+}
+
+/**
+ * Look up a lesson by id.
+ *
+ * @param {string} id
+ * @returns {Lesson|null}
+ */
+export function getLesson(id) {
+  const lesson = LESSONS.find((l) => l.id === id);
+  return lesson ? { ...lesson } : null;
+}
+
+/**
+ * Relative URL of a lesson's game page (from the site root).
+ *
+ * @param {Lesson} lesson
+ * @returns {string}
+ */
+export function getLessonHref(lesson) {
+  return GAME_PAGES[lesson.game];
+}
+
+/**
+ * Check a lesson's mastery criteria against the active player's data.
+ *
+ * @param {Lesson} lesson
+ * @returns {{ mastered: boolean, progress: number, criteria: Array<{ passed: boolean, progress: number, detail: string }> }}
+ *   progress is 0–1, averaged over the criteria
+ */
+export function getLessonProgress(lesson) {
+  if (getMasteredIds()[lesson.id]) {
+    return { mastered: true, progress: 1, criteria: [] };
+  }
+  const criteria = lesson.mastery.map((c) => checkCriterion(lesson.game, c));
+  const progress = criteria.reduce((sum, c) => sum + c.progress, 0) / criteria.length;
+  return { mastered: criteria.every((c) => c.passed), progress, criteria };
+}
+
+/**
+ * Evaluate the whole curriculum for the active player. Newly mastered
+ * lessons are saved so they stay mastered.
+ *
+ * @returns {Array<Lesson & { status: "locked"|"unlocked"|"mastered", progress: number,
+ *   criteria: Array<object>, tier: number, masteredAt: string|null }>}
+ *   tier is the lesson's depth in the prerequisite graph (0 = no prerequisites)
+ */
+export function getCurriculumState() {
+  const mastered = getMasteredIds();
+  let changed = false;
+  const byId = new Map();
+
+  for (const lesson of LESSONS) {
+    const result = getLessonProgress(lesson);
+    if (result.mastered && !mastered[lesson.id]) {
+      mastered[lesson.id] = new Date().toISOString();
+      changed = true;
+    }
+    byId.set(lesson.id, { ...lesson, ...result });
+  }
+  if (changed) setItem(MASTERED_KEY(), mastered);
+
+  // LESSONS lists prerequisites before the lessons that need them
+  return LESSONS.map((lesson) => {
+    const entry = byId.get(lesson.id);
+    const prereqs = lesson.prerequisites.map((id) => byId.get(id));
+    const unlocked = prereqs.every((p) => p.status === "mastered");
+    entry.tier = prereqs.length > 0 ? 1 + Math.max(...prereqs.map((p) => p.tier)) : 0;
+    entry.status = entry.mastered ? "mastered" : unlocked ? "unlocked" : "locked";
+    entry.masteredAt = mastered[lesson.id] || null;
+    delete entry.mastered;
+    return entry;
+  });
+}
+
+/**
+ * Whether a lesson is available to play (all prerequisites mastered).
+ *
+ * @param {string} id - Lesson id
+ * @returns {boolean}
+ */
+export function isLessonUnlocked(id) {
+  const entry = getCurriculumState().find((l) => l.id === id);
+  return !!entry && entry.status !== "locked";
+}
@@ -0,0 +1,56 @@
+/**
+ * Music Theory Games — Game Events
+ * shared/events.js
+ *
+ * A small in-page event bus. Games (and the shared modules they call)
+ * announce what just happened; listeners such as shared/achievements.js
+ * react without the games knowing about them.
+ *
+ * ai.js emits ANSWER from recordAttempt() and progress.js emits
+ * TEST_COMPLETE from saveScore(), so games that already use those
+ * modules report these events for free.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Event types                                               */
+/* ---------------------------------------------------------- */
+
+const GAME_EVENTS = {
+  /** { game, skill?, hit: boolean, context? } — one question / note / strum / clap */
+  ANSWER: "answer",
+  /** { game, score, metadata } — a test was finished and its score saved */
+  TEST_COMPLETE: "test-complete",
+  /** { hasMusic: boolean } — a Skratch Studio program was run */
+  PROGRAM_RUN: "program-run",
+};
+
+const bus = new EventTarget();
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Announce a game event.
+ *
+ * @param {string} type   - One of GAME_EVENTS
+ * @param {object} [detail]
+ */
+export function emitGameEvent(type, detail = {}) {
+  bus.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * Listen for a game event.
+ *
+ * @param {string}   type    - One of GAME_EVENTS
+ * @param {Function} handler - Called with the event detail
+ * @returns {Function} Call to stop listening
+ */
+export function onGameEvent(type, handler) {
+  const listener = (e) => handler(e.detail);
+  bus.addEventListener(type, listener);
+  return () => bus.removeEventListener(type, listener);
+}
+
+export { GAME_EVENTS };
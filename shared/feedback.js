@@ -0,0 +1,388 @@
+/**
+ * Music Theory Games — Offline Tutor Feedback
+ * shared/feedback.js
+ *
+ * Builds post-session feedback and per-question hints from templates,
+ * without an AI tutor. ai.js getSessionFeedback() and
+ * askTutorAboutQuestion() use it when no tutor is configured or the
+ * request fails, so every install gets feedback and the AI tutor is an
+ * enhancement.
+ *
+ * A message is two or three short sentences: an opener for how the
+ * session went, something the player did well or how they compare with
+ * recent sessions, and one tip — for the two skills most often confused
+ * (e.g. "Minor 6th vs Major 6th"), the weakest skill, or the game.
+ * The same inputs always give the same message.
+ *
+ * A hint is one tip for the current question: the skill's own tip, then
+ * the confusion tips that include it, then the game's tips. Questions
+ * whose answer is still hidden get a tip for each answer choice instead.
+ *
+ * This module only formats data; callers pass in the ai.js performance
+ * summary and weak areas.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+// Skills need this many attempts before tips single them out
+const MIN_ATTEMPTS = 3;
+// ...and count as weak below this accuracy (0–1)
+const WEAK_ACCURACY = 0.8;
+// Points of accuracy a session must move from the recent average to mention it
+const TREND_POINTS = 10;
+
+/* Openers by session accuracy (percent). {accuracy} is filled in. */
+const OPENERS = [
+  { min: 90, lines: [
+    "Amazing work — {accuracy}% correct!",
+    "Wow, {accuracy}%! Your ears are on fire!",
+  ] },
+  { min: 70, lines: [
+    "Great job — you got {accuracy}% right!",
+    "Nice session — {accuracy}% correct!",
+  ] },
+  { min: 40, lines: [
+    "Good effort — {accuracy}% correct, and every try makes your ears stronger.",
+    "You got {accuracy}% right — you're getting there!",
+  ] },
+  { min: 0, lines: [
+    "That was a tricky one, but you kept going — that's how musicians get better!",
+    "Tough session! Every mistake teaches your ears something new.",
+  ] },
+];
+
+/* Tips for one skill, by game. Interval names match shared/audio.js. */
+const SKILL_TIPS = {
+  "harmony-training": {
+    "Unison": "For a unison, sing the very same note you hear — listen for the two sounds melting into one.",
+    "Minor 2nd": "A minor 2nd is the tiniest step — think of the Jaws theme: dun-dun, dun-dun.",
+    "Major 2nd": "A major 2nd is the step from Do to Re — sing \"Do-Re\" from the Do-Re-Mi song.",
+    "Minor 3rd": "A minor 3rd sounds a little sad — it's the first two notes of \"Smoke on the Water\".",
+    "Major 3rd": "A major 3rd sounds bright and happy — sing \"Oh when the Saints\" and listen to the first jump.",
+    "Perfect 4th": "\"Here Comes the Bride\" starts with a perfect 4th — hum it before you sing.",
+    "Tritone": "The tritone sounds spooky and unsettled — \"The Simpsons\" theme starts with one.",
+    "Augmented 4th": "An augmented 4th is a tritone — it sounds spooky, like the start of \"The Simpsons\" theme.",
+    "Diminished 5th": "A diminished 5th is a tritone — it sounds spooky, like the start of \"The Simpsons\" theme.",
+    "Perfect 5th": "\"Twinkle Twinkle Little Star\" jumps a perfect 5th on the second \"twinkle\".",
+    "Minor 6th": "A minor 6th is a big leap that sounds a little sad and dreamy — one half step smaller than a major 6th.",
+    "Major 6th": "\"My Bonnie Lies Over the Ocean\" starts with a major 6th on \"My Bon-\".",
+    "Minor 7th": "The old Star Trek theme starts with a minor 7th — a big leap that wants to keep going.",
+    "Major 7th": "A major 7th is one small step short of an octave — it sounds like it wants to go up one more note.",
+    "Octave": "\"Somewhere Over the Rainbow\" leaps an octave on \"Some-where\" — the same note, just higher.",
+  },
+  chords: {
+    "Major": "Major chords sound bright and happy, like sunshine.",
+    "Minor": "Minor chords sound darker or a bit sad — listen to the middle note.",
+    "Diminished": "Diminished chords sound tense and squeezed, like something spooky is about to happen.",
+    "Augmented": "Augmented chords sound floaty and dreamy, like a magic spell or a dream sequence in a cartoon.",
+    "Sus2": "Sus2 chords sound open and airy — the middle note has slipped down a step, so it's neither happy nor sad.",
+    "Sus4": "Sus4 chords sound like they're waiting to land — the middle note wants to fall down into a major chord.",
+    "Dominant 7th": "Dominant 7th chords sound bluesy and restless, like they really want to move to the next chord.",
+    "Major 7th": "Major 7th chords sound soft, dreamy and jazzy — happy, with a little sparkle on top.",
+    "Minor 7th": "Minor 7th chords sound smooth and mellow — a little sad, but relaxed.",
+    "Half-Diminished": "Half-diminished chords sound dark and mysterious, like a question hanging in the air.",
+    "Diminished 7th": "Diminished 7th chords sound super spooky — like the music in an old movie when the villain shows up.",
+    "I–IV–V–I": "I–IV–V–I climbs away from home and marches straight back — count four chords, and the last one sounds like home.",
+    "ii–V–I": "ii–V–I is only three chords and starts on a darker minor chord before it slides home.",
+    "I–vi–IV–V": "I–vi–IV–V is the 1950s doo-wop progression — the second chord turns darker, and it ends up in the air instead of home.",
+    "I–V–vi–IV": "I–V–vi–IV is in tons of pop songs — listen for the third chord dipping into a darker minor sound.",
+    "I–IV–I–V": "I–IV–I–V bounces home in the middle and finishes on the V, like it's asking a question.",
+    "vi–IV–I–V": "vi–IV–I–V starts on the darker minor chord instead of home — notice that sad first chord.",
+    "I–vi–ii–V": "I–vi–ii–V has two minor chords in a row in the middle, then ends hanging on the V.",
+    "I–iii–IV–V": "I–iii–IV–V takes little steps up from home, and the second chord is a soft minor one.",
+    "iii–vi–ii–V–I": "iii–vi–ii–V–I is the longest one — five chords, three minor ones falling toward home.",
+    "Authentic Cadence": "An authentic cadence goes V to I — it sounds finished, like the end of a story.",
+    "Plagal Cadence": "A plagal cadence goes IV to I — it sounds like the \"A-men\" at the end of a hymn.",
+    "Half Cadence": "A half cadence stops on the V chord — it sounds like a question that hasn't been answered yet.",
+    "Deceptive Cadence": "A deceptive cadence goes V to vi — you expect to land home, but it lands on a sad surprise instead.",
+    "Sung Root": "The root is the chord's home note and its lowest note here — tap it to hear it, then hum along.",
+    "Sung 2nd": "In a sus2 chord the 2nd is just one step above the root — sing \"Do-Re\".",
+    "Sung 3rd": "Find the 3rd by singing up from the root and skipping one note: Do, (Re), Mi.",
+    "Sung 4th": "In a sus4 chord the 4th sits right under the 5th — think \"Here Comes the Bride\" from the root.",
+    "Sung 5th": "The 5th is the jump on the second \"twinkle\" in \"Twinkle Twinkle Little Star\".",
+    "Sung 7th": "The 7th is the highest note — sing the 5th first, then climb a little further.",
+  },
+  scales: {
+    "Major": "The major scale is Do-Re-Mi-Fa-Sol-La-Ti-Do — bright and happy from bottom to top.",
+    "Natural Minor": "The natural minor scale sounds darker than major — its third note is a little lower, which makes it sound sad.",
+    "Harmonic Minor": "Harmonic minor is a minor scale with a big, exotic jump near the top — it sounds like a snake charmer.",
+    "Melodic Minor": "Melodic minor starts sad like minor but finishes bright like major on the way up.",
+    "Major Pentatonic": "The major pentatonic has only five notes and no tiny steps — play just the black keys on a piano to hear one.",
+    "Minor Pentatonic": "The minor pentatonic has five notes with big gaps — it's the scale of countless rock guitar solos.",
+    "Blues": "The blues scale is minor pentatonic with one extra \"blue note\" in the middle that sounds gritty and cool.",
+    "Dorian": "Dorian is a minor scale with one brighter note near the top — it sounds jazzy and cool rather than sad.",
+    "Phrygian": "Phrygian starts with a tiny half step right away — it sounds Spanish and dramatic, like flamenco.",
+    "Lydian": "Lydian is a major scale with the fourth note raised — it sounds dreamy and magical, like flying.",
+    "Mixolydian": "Mixolydian is a major scale with a lower seventh note — it sounds like rock and folk songs.",
+    "Locrian": "Locrian is the darkest mode — its fifth note is lowered, so it never sounds like it has found home.",
+  },
+};
+
+/* Tips for two skills that are easy to mix up, by game. Order does not matter. */
+const CONFUSION_TIPS = {
+  "harmony-training": [
+    { pair: ["Minor 2nd", "Major 2nd"], tip: "Minor 2nd vs Major 2nd: the minor 2nd is the tiny Jaws step, the major 2nd is \"Do-Re\"." },
+    { pair: ["Minor 3rd", "Major 3rd"], tip: "Minor 3rd vs Major 3rd: the major 3rd sounds happy like \"When the Saints\", the minor 3rd sounds sadder like \"Smoke on the Water\"." },
+    { pair: ["Perfect 4th", "Perfect 5th"], tip: "Perfect 4th vs Perfect 5th: \"Here Comes the Bride\" is a 4th and \"Twinkle Twinkle\" is a 5th — sing both and compare." },
+    { pair: ["Perfect 4th", "Tritone"], tip: "Perfect 4th vs Tritone: the 4th sounds calm and open, the tritone is just one half step higher and sounds spooky." },
+    { pair: ["Tritone", "Perfect 5th"], tip: "Tritone vs Perfect 5th: the 5th sounds strong and settled, the tritone is one half step lower and sounds unsettled." },
+    { pair: ["Minor 6th", "Major 6th"], tip: "Minor 6th vs Major 6th: the major 6th is the bright \"My Bonnie\" leap, the minor 6th is one half step smaller and sounds darker." },
+    { pair: ["Minor 7th", "Major 7th"], tip: "Minor 7th vs Major 7th: the major 7th is almost an octave and feels like it wants to go up one more note." },
+    { pair: ["Major 7th", "Octave"], tip: "Major 7th vs Octave: the octave sounds like the same note again, the major 7th sounds like it's not quite there." },
+  ],
+  chords: [
+    { pair: ["Major", "Minor"], tip: "Major vs Minor: major chords sound bright and happy, minor chords sound darker — the middle note makes the difference." },
+    { pair: ["Minor", "Diminished"], tip: "Minor vs Diminished: both sound dark, but diminished chords sound tense and squeezed, like a spooky movie." },
+    { pair: ["Major", "Diminished"], tip: "Major vs Diminished: major chords feel settled and bright, diminished chords feel tense and want to move." },
+    { pair: ["Major", "Augmented"], tip: "Major vs Augmented: both sound bright, but the top note of an augmented chord is stretched up, so it sounds floaty and unfinished." },
+    { pair: ["Diminished", "Augmented"], tip: "Diminished vs Augmented: diminished sounds squeezed and dark, augmented sounds stretched and floaty." },
+    { pair: ["Sus2", "Sus4"], tip: "Sus2 vs Sus4: sus4 sounds like it wants to fall down to land, sus2 sounds open and relaxed." },
+    { pair: ["Major", "Sus4"], tip: "Major vs Sus4: a sus4 is a major chord whose middle note hasn't landed yet — listen for that little push." },
+    { pair: ["Dominant 7th", "Major 7th"], tip: "Dominant 7th vs Major 7th: dominant 7ths sound bluesy and restless, major 7ths sound soft and dreamy." },
+    { pair: ["Minor 7th", "Half-Diminished"], tip: "Minor 7th vs Half-Diminished: minor 7ths sound smooth and mellow, half-diminished chords sound darker and more mysterious." },
+    { pair: ["Half-Diminished", "Diminished 7th"], tip: "Half-Diminished vs Diminished 7th: the diminished 7th is even spookier — every note is the same small step apart." },
+    { pair: ["Dominant 7th", "Minor 7th"], tip: "Dominant 7th vs Minor 7th: listen to the middle — a bright major bottom means dominant, a darker minor bottom means minor 7th." },
+    { pair: ["I–vi–IV–V", "I–V–vi–IV"], tip: "I–vi–IV–V vs I–V–vi–IV: both use the same four chords — listen for whether the dark minor chord comes second or third." },
+    { pair: ["I–IV–V–I", "I–IV–I–V"], tip: "I–IV–V–I vs I–IV–I–V: does it end at home, or end hanging on the V like a question?" },
+    { pair: ["Authentic Cadence", "Half Cadence"], tip: "Authentic vs Half: an authentic cadence ends at home and sounds finished, a half cadence stops on the V and sounds unfinished." },
+    { pair: ["Authentic Cadence", "Deceptive Cadence"], tip: "Authentic vs Deceptive: both go through the V chord — authentic lands home, deceptive lands on a darker minor chord." },
+    { pair: ["Authentic Cadence", "Plagal Cadence"], tip: "Authentic vs Plagal: both end at home — authentic arrives with a strong push, plagal glides in gently like \"A-men\"." },
+  ],
+  scales: [
+    { pair: ["Major", "Natural Minor"], tip: "Major vs Natural Minor: major scales sound bright and happy, minor scales sound darker — listen to the third note." },
+    { pair: ["Natural Minor", "Harmonic Minor"], tip: "Natural vs Harmonic Minor: the harmonic minor has a big, exotic jump near the top before it lands home." },
+    { pair: ["Harmonic Minor", "Melodic Minor"], tip: "Harmonic vs Melodic Minor: melodic minor climbs smoothly near the top, harmonic minor has a big jump right before home." },
+    { pair: ["Natural Minor", "Dorian"], tip: "Natural Minor vs Dorian: Dorian is a minor scale with one brighter note near the top — it sounds jazzy, not sad." },
+    { pair: ["Major", "Mixolydian"], tip: "Major vs Mixolydian: Mixolydian is a major scale whose second-to-last note is lower, so it doesn't pull up to home." },
+    { pair: ["Major", "Lydian"], tip: "Major vs Lydian: Lydian is a major scale with the fourth note raised — it sounds dreamy and floaty." },
+    { pair: ["Natural Minor", "Phrygian"], tip: "Natural Minor vs Phrygian: Phrygian starts with a tiny half step that sounds Spanish and dramatic." },
+    { pair: ["Phrygian", "Locrian"], tip: "Phrygian vs Locrian: both start with a tiny step, but Locrian's fifth note is lowered, so it never feels settled." },
+    { pair: ["Major Pentatonic", "Minor Pentatonic"], tip: "Major vs Minor Pentatonic: both have five notes — major pentatonic sounds sunny, minor pentatonic sounds like rock and blues." },
+    { pair: ["Minor Pentatonic", "Blues"], tip: "Minor Pentatonic vs Blues: the blues scale is minor pentatonic plus one extra \"blue note\" squeezed into the middle." },
+    { pair: ["Major", "Major Pentatonic"], tip: "Major vs Major Pentatonic: count the notes — the pentatonic skips two of them, so there are no tiny half steps." },
+  ],
+};
+
+/* Tips for the whole game, used when no skill stands out. */
+const GAME_TIPS = {
+  "harmony-training": [
+    "Hum the first note quietly before you sing the interval.",
+    "Hold your note steady for a moment — a long, clear note is easier to hear.",
+  ],
+  chords: [
+    "Replay the chord as many times as you need — good listeners listen twice.",
+    "Try humming the lowest note of the chord, then the middle one.",
+  ],
+  melody: [
+    "Before you sing, trace the melody in the air — up, down or the same.",
+    "Sing each note clearly and hold it for a moment before moving on.",
+  ],
+  rhythm: [
+    "Tap your foot with the click and clap on the tap.",
+    "Count out loud — 1, 2, 3, 4 — to stay with the beat.",
+  ],
+  strumming: [
+    "Keep your hand moving down and up all the time, even when you skip a strum.",
+    "Try a slower tempo first, then speed up once it feels easy.",
+  ],
+  scales: [
+    "Sing \"Do\" along with the first note, then listen for where the scale feels bright or dark.",
+    "Count the notes — pentatonic scales have only five before they reach the top.",
+  ],
+};
+
+/* Openers when the session has no accuracy to report */
+const PLAIN_OPENERS = [
+  "Thanks for practicing today!",
+  "Nice practice session!",
+];
+
+const DEFAULT_TIPS = [
+  "A little practice every day helps more than one long session.",
+  "Take a deep breath and listen carefully before you answer.",
+];
+
+/* The strumming pattern detector reports timing consistency, not accuracy */
+const DETECTOR_LINES = [
+  { min: 70, lines: [
+    "Your strumming was really steady — {consistency}% consistent!",
+    "Rock-solid timing — {consistency}% consistent!",
+  ] },
+  { min: 30, lines: [
+    "Nice strumming — your timing was {consistency}% consistent.",
+    "Good groove — {consistency}% consistent, and it gets steadier with practice.",
+  ] },
+  { min: 0, lines: [
+    "Thanks for playing! Your timing wandered a bit this time.",
+    "Good try! Steady timing is tricky, and every strum helps.",
+  ] },
+];
+
+const DETECTOR_TIPS = [
+  "Count \"1 and 2 and\" out loud while you strum to keep it steady.",
+  "Keep your strumming hand swinging like a pendulum, even between strums.",
+];
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+/** Small string hash, so a session always picks the same variants. */
+function hashString(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    hash = (hash * 31 + str.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+function pick(lines, seed, salt) {
+  return lines[(seed + salt) % lines.length];
+}
+
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (_, name) => values[name] ?? "");
+}
+
+function byBand(bands, value) {
+  return bands.find((b) => value >= b.min).lines;
+}
+
+/** Weak skills with enough attempts, weakest first. */
+function weakSkills(weakAreas) {
+  return weakAreas.filter((w) => w.attempts >= MIN_ATTEMPTS && w.accuracy < WEAK_ACCURACY);
+}
+
+/** This session's per-skill results as weak areas, when the game sent them. */
+function sessionWeakAreas(sessionData) {
+  return Object.entries(sessionData.skills || {})
+    .filter(([, s]) => s.attempts > 0)
+    .map(([skill, s]) => ({ skill, accuracy: s.hits / s.attempts, attempts: s.attempts }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+}
+
+function strengthLine(sessionData, summary, seed) {
+  if (sessionData.bestStreak >= 5) {
+    return `That streak of ${sessionData.bestStreak} in a row was awesome!`;
+  }
+  const strong = (summary.skills || [])
+    .filter((s) => s.attempts >= MIN_ATTEMPTS && s.accuracy >= 80)
+    .sort((a, b) => b.accuracy - a.accuracy || b.attempts - a.attempts)[0];
+  if (!strong) return null;
+  return pick([
+    `You're really good at ${strong.name} — keep it up!`,
+    `${strong.name} is one of your strongest skills!`,
+  ], seed, 1);
+}
+
+function trendLine(sessionData, summary) {
+  if (sessionData.accuracy == null) return null;
+  // The session was recorded before asking for feedback, so leave it out
+  const earlier = (summary.recentSessions || [])
+    .slice(0, -1)
+    .filter((s) => typeof s.accuracy === "number");
+  if (earlier.length === 0) return null;
+  const avg = earlier.reduce((sum, s) => sum + s.accuracy, 0) / earlier.length;
+  const diff = Math.round(sessionData.accuracy - avg);
+  if (diff >= TREND_POINTS) return `That's ${diff}% better than your recent sessions!`;
+  if (diff <= -TREND_POINTS) return "Today was harder than usual — that's OK, tricky days help you learn.";
+  return null;
+}
+
+function tipLine(game, weakAreas, seed) {
+  const weak = weakSkills(weakAreas);
+
+  if (weak.length >= 2) {
+    const names = weak.slice(0, 3).map((w) => w.skill);
+    const confusion = (CONFUSION_TIPS[game] || [])
+      .find(({ pair }) => pair.every((skill) => names.includes(skill)));
+    if (confusion) return confusion.tip;
+  }
+
+  const skillTip = weak.length > 0 && SKILL_TIPS[game]?.[weak[0].skill];
+  if (skillTip) return skillTip;
+  if (weak.length > 0) {
+    return `Spend a little extra time on ${weak[0].skill} — it's the one to practice next.`;
+  }
+  return pick(GAME_TIPS[game] || DEFAULT_TIPS, seed, 2);
+}
+
+function detectorFeedback(sessionData, seed) {
+  const consistency = Math.round(Number(sessionData.consistency) || 0);
+  const lines = [fill(pick(byBand(DETECTOR_LINES, consistency), seed, 0), { consistency })];
+  if (sessionData.topMatch && sessionData.topMatch !== "none") {
+    lines.push(`It sounded most like ${sessionData.topMatch}.`);
+  }
+  lines.push(pick(DETECTOR_TIPS, seed, 2));
+  return lines.join(" ");
+}
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Build kid-friendly feedback for a finished session from templates.
+ *
+ * @param {string} game        - Game identifier (e.g. "harmony-training")
+ * @param {object} sessionData - The session summary the game recorded
+ *                               (accuracy, bestStreak, skills, ...)
+ * @param {object} [history]
+ * @param {object} [history.summary]   - ai.js getPerformanceSummary(game)
+ * @param {Array<{ skill: string, accuracy: number, attempts: number }>} [history.weakAreas]
+ *                                      - ai.js getWeakAreas(game)
+ * @returns {string} Two or three sentences
+ */
+export function buildOfflineFeedback(game, sessionData = {}, { summary = {}, weakAreas = [] } = {}) {
+  const seed = hashString(`${game}|${JSON.stringify(sessionData)}`);
+
+  if (sessionData.tool === "pattern-detector") {
+    return detectorFeedback(sessionData, seed);
+  }
+
+  const rawAccuracy = Number(sessionData.accuracy ?? (summary.totalAttempts > 0 ? summary.overallAccuracy : NaN));
+  const accuracy = Math.round(rawAccuracy);
+  const lines = [Number.isFinite(rawAccuracy)
+    ? fill(pick(byBand(OPENERS, accuracy), seed, 0), { accuracy })
+    : pick(PLAIN_OPENERS, seed, 0)];
+
+  const extra = trendLine(sessionData, summary) || strengthLine(sessionData, summary, seed);
+  if (extra) lines.push(extra);
+
+  // Prefer what went wrong this session, then the player's history
+  const sessionWeak = sessionWeakAreas(sessionData);
+  lines.push(tipLine(game, weakSkills(sessionWeak).length > 0 ? sessionWeak : weakAreas, seed));
+
+  return lines.join(" ");
+}
+
+/**
+ * Pick a hint for the question the player is on. Each turn moves on to
+ * the next hint, wrapping around.
+ *
+ * @param {string} game     - Game identifier
+ * @param {object} question - ai.js TutorQuestion ({ description, skill?, choices?, hideAnswer? })
+ * @param {object} [options]
+ * @param {number} [options.turn=0] - How many hints were already given for this question
+ * @returns {string}
+ */
+export function buildOfflineHint(game, question = {}, { turn = 0 } = {}) {
+  const hints = [];
+  if (question.hideAnswer) {
+    // Describe every choice so the tip does not give the answer away
+    for (const choice of question.choices || []) {
+      const tip = SKILL_TIPS[game]?.[choice];
+      if (tip) hints.push(tip);
+    }
+  } else if (question.skill) {
+    const tip = SKILL_TIPS[game]?.[question.skill];
+    if (tip) hints.push(tip);
+    for (const { pair, tip: pairTip } of CONFUSION_TIPS[game] || []) {
+      if (pair.includes(question.skill)) hints.push(pairTip);
+    }
+  }
+  hints.push(...(GAME_TIPS[game] || DEFAULT_TIPS));
+  return hints[Math.max(0, turn) % hints.length];
+}
@@ -0,0 +1,233 @@
+/**
+ * Music Theory Games — Daily Practice Goals
+ * shared/goals.js
+ *
+ * Turns the sessions games report through ai.js recordSession() into
+ * per-day practice totals (minutes from `duration`, questions from
+ * `questions` or the session's per-skill attempts), checks them against
+ * daily goals a parent sets for each player, and counts the streak of
+ * days the goal was met.
+ *
+ * Sessions recorded before `duration` / `questions` existed add nothing
+ * to the totals.
+ */
+
+import { getPerformance } from "./ai.js";
+import { profileKey } from "./profiles.js";
+import { getItem, setItem } from "./storage.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const GOALS_KEY = () => profileKey("mtt_goals");
+
+// Games that report sessions to ai.js
+const SESSION_GAMES = ["harmony-training", "chords", "scales", "melody", "rhythm", "strumming"];
+
+const DEFAULT_GOALS = { minutes: 10, questions: 20 };
+const MAX_GOAL = 600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DayTotals
+ * @property {string}  date      - Local date, YYYY-MM-DD
+ * @property {number}  minutes   - Rounded down
+ * @property {number}  questions
+ * @property {number}  sessions
+ * @property {number}  progress  - 0–1 toward the goals (averaged over the goals that are set)
+ * @property {boolean} met       - Every goal that is set was reached
+ */
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+/** Local calendar date, like ai.js */
+function dayKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function sessionQuestions(session) {
+  if (session.questions != null) return session.questions;
+  return Object.values(session.skills || {}).reduce((sum, s) => sum + (s.attempts || 0), 0);
+}
+
+/** Raw totals per local date, across every game. */
+function totalsByDay() {
+  const byDay = new Map();
+  for (const game of SESSION_GAMES) {
+    for (const session of getPerformance(game).sessions) {
+      const date = dayKey(session.date);
+      const day = byDay.get(date) || { durationMs: 0, questions: 0, sessions: 0 };
+      day.durationMs += session.duration || 0;
+      day.questions += sessionQuestions(session);
+      day.sessions++;
+      byDay.set(date, day);
+    }
+  }
+  return byDay;
+}
+
+function scoreDay(date, raw, goals) {
+  const minutes = Math.floor((raw?.durationMs || 0) / 60000);
+  const questions = raw?.questions || 0;
+  const parts = [];
+  if (goals.minutes > 0) parts.push(Math.min(1, minutes / goals.minutes));
+  if (goals.questions > 0) parts.push(Math.min(1, questions / goals.questions));
+  return {
+    date,
+    minutes,
+    questions,
+    sessions: raw?.sessions || 0,
+    progress: parts.length > 0 ? parts.reduce((sum, p) => sum + p, 0) / parts.length : 0,
+    met: parts.length > 0 && parts.every((p) => p >= 1),
+  };
+}
+
+function validGoal(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_GOAL) {
+    throw new Error(`Daily ${name} goal must be a whole number from 0 to ${MAX_GOAL}`);
+  }
+  return n;
+}
+
+/* ---------------------------------------------------------- */
+/*  Goals                                                     */
+/* ---------------------------------------------------------- */
+
+/**
+ * The active player's daily goals. A goal of 0 is switched off.
+ *
+ * @returns {{ minutes: number, questions: number }}
+ */
+export function getGoals() {
+  return { ...DEFAULT_GOALS, ...getItem(GOALS_KEY(), {}) };
+}
+
+/**
+ * Set the active player's daily goals. Throws an Error for values that
+ * are not whole numbers from 0 to 600.
+ *
+ * @param {{ minutes?: number|string, questions?: number|string }} goals
+ * @returns {{ minutes: number, questions: number }} The saved goals
+ */
+export function setGoals({ minutes, questions } = {}) {
+  const current = getGoals();
+  const goals = {
+    minutes: minutes === undefined ? current.minutes : validGoal(minutes, "minutes"),
+    questions: questions === undefined ? current.questions : validGoal(questions, "questions"),
+  };
+  setItem(GOALS_KEY(), goals);
+  return goals;
+}
+
+/**
+ * Whether the active player has any goal switched on.
+ *
+ * @returns {boolean}
+ */
+export function hasGoals() {
+  const { minutes, questions } = getGoals();
+  return minutes > 0 || questions > 0;
+}
+
+/* ---------------------------------------------------------- */
+/*  Daily totals                                              */
+/* ---------------------------------------------------------- */
+
+/**
+ * Practice totals for each of the last `days` days, including days
+ * without practice.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=84]
+ * @returns {DayTotals[]} Oldest day first, ending today
+ */
+export function getDailyTotals({ days = 84 } = {}) {
+  const goals = getGoals();
+  const byDay = totalsByDay();
+  const today = new Date();
+  const result = [];
+  for (let i = days - 1; i >= 0; i--) {
+    // Step by calendar day so DST changes don't skip or repeat a date
+    const d = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+    const date = dayKey(d);
+    result.push(scoreDay(date, byDay.get(date), goals));
+  }
+  return result;
+}
+
+/**
+ * Today's totals and goals.
+ *
+ * @returns {DayTotals & { goals: { minutes: number, questions: number } }}
+ */
+export function getTodayProgress() {
+  const date = dayKey(Date.now());
+  const goals = getGoals();
+  return { ...scoreDay(date, totalsByDay().get(date), goals), goals };
+}
+
+/**
+ * Days in a row the goal was met. Today still counts toward the current
+ * streak until it is over, so an unfinished today does not break it.
+ *
+ * @returns {{ current: number, best: number }}
+ */
+export function getGoalStreak() {
+  const byDay = totalsByDay();
+  if (byDay.size === 0) return { current: 0, best: 0 };
+
+  const first = [...byDay.keys()].sort()[0];
+  const [y, m, d] = first.split("-").map(Number);
+  const start = new Date(y, m - 1, d);
+  const days = Math.round((Date.now() - start.getTime()) / DAY_MS) + 1;
+
+  let best = 0;
+  let run = 0;
+  const totals = getDailyTotals({ days });
+  totals.forEach((day) => {
+    run = day.met ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+
+  let current = 0;
+  for (let i = totals.length - 1; i >= 0; i--) {
+    if (totals[i].met) current++;
+    else if (i !== totals.length - 1) break;
+  }
+  return { current, best };
+}
+
+/* ---------------------------------------------------------- */
+/*  Setup-screen reminder DOM helper                          */
+/* ---------------------------------------------------------- */
+
+/**
+ * Show a gentle reminder in a game's setup screen when today's goal is
+ * not met yet. Hides the element when there is no goal or it is met.
+ * Uses the CSS classes from shared/styles.css.
+ *
+ * @param {HTMLElement} container - Target element
+ */
+export function renderGoalReminder(container) {
+  const today = getTodayProgress();
+  if (!hasGoals() || today.met) {
+    container.hidden = true;
+    return;
+  }
+
+  const left = [];
+  if (today.goals.minutes > today.minutes) left.push(`${today.goals.minutes - today.minutes} more minutes`);
+  if (today.goals.questions > today.questions) left.push(`${today.goals.questions - today.questions} more questions`);
+
+  container.className = "goal-reminder";
+  container.textContent = today.sessions === 0
+    ? `Today's goal: ${left.join(" and ")}. Let's get started!`
+    : `Nice work today! ${left.join(" and ")} to reach your goal.`;
+  container.hidden = false;
+}
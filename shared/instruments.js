@@ -0,0 +1,118 @@
+/**
+ * Music Theory Games — Instrument Presets
+ * shared/instruments.js
+ *
+ * Timbres shared by shared/audio.js (game playback) and
+ * skratch-studio/audio-bridge.js (the studio keyboard). Each preset is
+ * a set of Tone.Synth options plus an optional effects chain, so it can
+ * drive either a PolySynth or individually managed Tone.Synth voices.
+ *
+ * Presets reference the global `Tone` (loaded via CDN) only inside
+ * buildEffects(), so importing this module never touches audio.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Presets                                                   */
+/* ---------------------------------------------------------- */
+
+const DEFAULT_INSTRUMENT = "piano";
+
+const INSTRUMENTS = {
+  piano: {
+    label: "Piano",
+    options: {
+      oscillator: { type: "triangle" },
+      envelope: { attack: 0.02, decay: 0.3, sustain: 0.3, release: 0.6 },
+    },
+  },
+  guitar: {
+    label: "Guitar",
+    options: {
+      oscillator: { type: "fattriangle", spread: 12, count: 2 },
+      envelope: { attack: 0.005, decay: 0.6, sustain: 0.08, release: 0.9 },
+    },
+    buildEffects() {
+      return [new Tone.Filter(3200, "lowpass")];
+    },
+  },
+  strings: {
+    label: "Strings",
+    options: {
+      oscillator: { type: "fatsawtooth", spread: 18, count: 3 },
+      envelope: { attack: 0.18, decay: 0.2, sustain: 0.85, release: 1.0 },
+    },
+    buildEffects() {
+      const filt = new Tone.Filter(1800, "lowpass");
+      const vib = new Tone.Vibrato(5, 0.05);
+      return [filt, vib];
+    },
+  },
+  voice: {
+    label: "Voice",
+    options: {
+      oscillator: { type: "fatsine", spread: 8, count: 2 },
+      envelope: { attack: 0.12, decay: 0.2, sustain: 0.8, release: 0.5 },
+    },
+    buildEffects() {
+      const vib = new Tone.Vibrato(5.5, 0.1);
+      const formant = new Tone.Filter(1100, "lowpass");
+      return [vib, formant];
+    },
+  },
+  organ: {
+    label: "Organ",
+    options: {
+      oscillator: { type: "fatsine", spread: 20, count: 3 },
+      envelope: { attack: 0.05, decay: 0.1, sustain: 0.95, release: 0.3 },
+    },
+    buildEffects() {
+      const dist = new Tone.Distortion(0.15);
+      const trem = new Tone.Tremolo(5.5, 0.35).start();
+      return [dist, trem];
+    },
+  },
+  synth: {
+    label: "Synth",
+    options: {
+      oscillator: { type: "fatsawtooth", spread: 30, count: 3 },
+      envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.4 },
+    },
+    buildEffects() {
+      const filt = new Tone.Filter(2500, "lowpass");
+      return [filt];
+    },
+  },
+};
+
+/* ---------------------------------------------------------- */
+/*  Helpers                                                   */
+/* ---------------------------------------------------------- */
+
+/**
+ * Look up a preset, falling back to the default instrument.
+ *
+ * @param {string} name - Key of INSTRUMENTS
+ * @returns {{ label: string, options: object, buildEffects?: Function }}
+ */
+export function getInstrumentPreset(name) {
+  return INSTRUMENTS[name] || INSTRUMENTS[DEFAULT_INSTRUMENT];
+}
+
+/**
+ * Fill a <select> with one option per instrument.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {string} [selected] - Key to pre-select
+ */
+export function populateInstrumentSelect(select, selected = DEFAULT_INSTRUMENT) {
+  select.innerHTML = "";
+  Object.entries(INSTRUMENTS).forEach(([key, preset]) => {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = preset.label;
+    if (key === selected) opt.selected = true;
+    select.appendChild(opt);
+  });
+}
+
+export { INSTRUMENTS, DEFAULT_INSTRUMENT };
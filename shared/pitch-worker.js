@@ -0,0 +1,34 @@
+/**
+ * Music Theory Games — Pitch Analysis Worker
+ * shared/pitch-worker.js
+ *
+ * Module Worker that runs the shared pitch detector away from both the
+ * audio rendering thread and the page. shared/audio.js starts it with
+ *
+ *   { type: "start", port, sampleRate, algorithm }
+ *
+ * where `port` receives the sample blocks posted by shared/pitch-worklet.js.
+ * The newest window is analysed and posted back to the page:
+ *
+ *   { frequency, clarity, rms, algorithm, time }
+ *
+ * When analysis falls behind, blocks that queued up meanwhile are folded
+ * into one frame rather than analysed one by one.
+ *
+ * `{ type: "algorithm", algorithm }` switches detectors mid-stream.
+ */
+
+import { createFrameAnalyser, analyseLatestBlock, PITCH_ALGORITHMS } from "./pitch.js";
+
+let analyser = null;
+
+self.onmessage = (e) => {
+  const msg = e.data || {};
+  if (msg.type === "start") {
+    analyser = createFrameAnalyser(msg.sampleRate, { algorithm: msg.algorithm });
+    const onBlock = analyseLatestBlock(analyser, (frame) => self.postMessage(frame));
+    msg.port.onmessage = (block) => onBlock(block.data);
+  } else if (msg.type === "algorithm" && analyser && PITCH_ALGORITHMS.includes(msg.algorithm)) {
+    analyser.algorithm = msg.algorithm;
+  }
+};
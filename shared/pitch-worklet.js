@@ -0,0 +1,67 @@
+/**
+ * Music Theory Games — Pitch Sample AudioWorklet
+ * shared/pitch-worklet.js
+ *
+ * Runs on the audio rendering thread, so it only copies microphone
+ * samples: every hop it posts the newest block of samples,
+ *
+ *   { samples: Float32Array, time }
+ *
+ * to its output port — a MessageChannel port to shared/pitch-worker.js
+ * once shared/audio.js sends one ({ type: "output", port }), otherwise
+ * its own node port. Pitch analysis happens there, never here.
+ *
+ * Loaded by shared/audio.js via audioWorklet.addModule(); never import
+ * this file from page code.
+ */
+
+const DEFAULT_HOP_SIZE = 1024; // ~47 blocks/s at 48 kHz
+
+class PitchSampleProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = options?.processorOptions || {};
+
+    this.hopSize = opts.hopSize || DEFAULT_HOP_SIZE;
+    this.block = new Float32Array(this.hopSize);
+    this.filled = 0;
+    this.output = this.port;
+    this.active = true;
+
+    this.port.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "output") {
+        this.output = msg.port || this.port;
+      } else if (msg.type === "stop") {
+        this.active = false;
+        if (this.output !== this.port) this.output.close();
+      }
+    };
+  }
+
+  process(inputs) {
+    if (!this.active) return false;
+
+    const channel = inputs[0]?.[0];
+    if (!channel) return true;
+
+    let offset = 0;
+    while (offset < channel.length) {
+      const count = Math.min(channel.length - offset, this.hopSize - this.filled);
+      this.block.set(channel.subarray(offset, offset + count), this.filled);
+      this.filled += count;
+      offset += count;
+
+      if (this.filled === this.hopSize) {
+        // Hand the block over without copying; start a fresh one
+        this.output.postMessage({ samples: this.block, time: currentTime }, [this.block.buffer]);
+        this.block = new Float32Array(this.hopSize);
+        this.filled = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor("pitch-analyser", PitchSampleProcessor);
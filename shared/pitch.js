@@ -0,0 +1,373 @@
+/**
+ * Music Theory Games — Pitch Detection Algorithms
+ * shared/pitch.js
+ *
+ * Pure, DOM-free pitch detectors that operate on a Float32Array of
+ * time-domain samples. Used by shared/audio.js on the main thread and
+ * safe to import anywhere (including offline scripts fed with
+ * synthesized buffers).
+ *
+ * Every detector returns { frequency, clarity }:
+ *   - frequency: fundamental in Hz, or -1 if no clear pitch
+ *   - clarity:   0–1 confidence (1 = perfectly periodic signal)
+ */
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const PITCH_ALGORITHMS = ["autocorrelation", "yin", "mcleod"];
+
+const DEFAULT_OPTIONS = {
+  algorithm: "mcleod",
+  minFrequency: 60,     // below a low male voice / guitar low E
+  maxFrequency: 1500,   // above a child's head voice
+  rmsThreshold: 0.01,   // silence gate
+  yinThreshold: 0.15,   // YIN absolute threshold on the CMND function
+  mcleodCutoff: 0.9,    // MPM: first key maximum >= cutoff × highest maximum
+};
+
+const NO_PITCH = { frequency: -1, clarity: 0 };
+const DEFAULT_FRAME_SIZE = 4096;  // same window as the AnalyserNode path
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Detect the fundamental frequency of a buffer.
+ *
+ * @param {Float32Array} buffer     - Time-domain audio samples
+ * @param {number}       sampleRate - Sample rate in Hz
+ * @param {object}       [options]  - Overrides for DEFAULT_OPTIONS
+ * @param {"autocorrelation"|"yin"|"mcleod"} [options.algorithm]
+ * @returns {{ frequency: number, clarity: number, rms: number }}
+ */
+export function detectPitch(buffer, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const rms = computeRMS(buffer);
+
+  if (rms < opts.rmsThreshold) {
+    return { ...NO_PITCH, rms };
+  }
+
+  let result;
+  switch (opts.algorithm) {
+    case "autocorrelation":
+      result = autocorrelate(buffer, sampleRate);
+      break;
+    case "yin":
+      result = yin(buffer, sampleRate, opts);
+      break;
+    case "mcleod":
+      result = mcleod(buffer, sampleRate, opts);
+      break;
+    default:
+      throw new Error(`Unknown pitch algorithm: "${opts.algorithm}"`);
+  }
+
+  // Discard anything outside the musically useful range
+  if (result.frequency < opts.minFrequency || result.frequency > opts.maxFrequency) {
+    return { ...NO_PITCH, rms };
+  }
+
+  return { ...result, rms };
+}
+
+/**
+ * Root-mean-square level of a buffer.
+ *
+ * @param {Float32Array} buffer
+ * @returns {number}
+ */
+export function computeRMS(buffer) {
+  let sum = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    sum += buffer[i] * buffer[i];
+  }
+  return buffer.length > 0 ? Math.sqrt(sum / buffer.length) : 0;
+}
+
+/* ---------------------------------------------------------- */
+/*  Autocorrelation (original detector)                       */
+/* ---------------------------------------------------------- */
+
+/**
+ * Plain autocorrelation with edge trimming.
+ * Cheap to reason about but O(n²) and prone to octave errors.
+ *
+ * @param {Float32Array} buffer     - Time-domain audio samples
+ * @param {number}       sampleRate - Audio context sample rate
+ * @returns {{ frequency: number, clarity: number }}
+ */
+export function autocorrelate(buffer, sampleRate) {
+  const n = buffer.length;
+
+  // Trim silence from edges
+  let start = 0;
+  let end = n - 1;
+  const threshold = 0.2;
+  while (start < n && Math.abs(buffer[start]) < threshold) start++;
+  while (end > 0 && Math.abs(buffer[end]) < threshold) end--;
+
+  if (end <= start) return NO_PITCH;
+
+  const trimmed = buffer.slice(start, end + 1);
+  const len = trimmed.length;
+
+  const corr = new Float32Array(len);
+  for (let lag = 0; lag < len; lag++) {
+    let sum = 0;
+    for (let i = 0; i < len - lag; i++) {
+      sum += trimmed[i] * trimmed[i + lag];
+    }
+    corr[lag] = sum;
+  }
+
+  // Find first dip then first peak after it
+  let d = 0;
+  while (d < len && corr[d] > 0) d++;
+  if (d >= len) return NO_PITCH;
+
+  let maxVal = -1;
+  let maxPos = -1;
+  for (let i = d; i < len; i++) {
+    if (corr[i] > maxVal) {
+      maxVal = corr[i];
+      maxPos = i;
+    }
+  }
+
+  if (maxPos === -1 || corr[0] <= 0) return NO_PITCH;
+
+  const refinedPos = parabolicVertex(corr, maxPos);
+  return {
+    frequency: sampleRate / refinedPos,
+    clarity: clamp01(maxVal / corr[0]),
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  YIN (de Cheveigné & Kawahara, 2002)                       */
+/* ---------------------------------------------------------- */
+
+/**
+ * YIN detector: cumulative mean normalized difference function with
+ * an absolute threshold, which strongly suppresses octave-up errors.
+ *
+ * @param {Float32Array} buffer
+ * @param {number}       sampleRate
+ * @param {object}       [options]
+ * @returns {{ frequency: number, clarity: number }}
+ */
+export function yin(buffer, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const minLag = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+  const maxLag = Math.min(
+    Math.floor(buffer.length / 2),
+    Math.ceil(sampleRate / opts.minFrequency)
+  );
+  if (maxLag <= minLag) return NO_PITCH;
+
+  const window = buffer.length - maxLag;
+  const cmnd = new Float32Array(maxLag + 1);
+  cmnd[0] = 1;
+
+  // Difference function + cumulative mean normalization in one pass
+  let runningSum = 0;
+  for (let tau = 1; tau <= maxLag; tau++) {
+    let diff = 0;
+    for (let i = 0; i < window; i++) {
+      const delta = buffer[i] - buffer[i + tau];
+      diff += delta * delta;
+    }
+    runningSum += diff;
+    cmnd[tau] = runningSum > 0 ? (diff * tau) / runningSum : 1;
+  }
+
+  // First dip below the threshold, then walk to its local minimum
+  let tauEstimate = -1;
+  for (let tau = minLag; tau <= maxLag; tau++) {
+    if (cmnd[tau] < opts.yinThreshold) {
+      while (tau + 1 <= maxLag && cmnd[tau + 1] < cmnd[tau]) tau++;
+      tauEstimate = tau;
+      break;
+    }
+  }
+
+  // No dip under the threshold: fall back to the global minimum,
+  // which callers can reject through its low clarity
+  if (tauEstimate === -1) {
+    let best = minLag;
+    for (let tau = minLag + 1; tau <= maxLag; tau++) {
+      if (cmnd[tau] < cmnd[best]) best = tau;
+    }
+    tauEstimate = best;
+  }
+
+  const refinedTau = parabolicVertex(cmnd, tauEstimate);
+  return {
+    frequency: sampleRate / refinedTau,
+    clarity: clamp01(1 - cmnd[tauEstimate]),
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  McLeod Pitch Method (McLeod & Wyvill, 2005)               */
+/* ---------------------------------------------------------- */
+
+/**
+ * McLeod / MPM detector: normalized square difference function with
+ * key-maximum peak picking. The NSDF peak height is a natural clarity
+ * measure, which makes breathy or noisy input easy to reject.
+ *
+ * @param {Float32Array} buffer
+ * @param {number}       sampleRate
+ * @param {object}       [options]
+ * @returns {{ frequency: number, clarity: number }}
+ */
+export function mcleod(buffer, sampleRate, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const n = buffer.length;
+  const minLag = Math.max(2, Math.floor(sampleRate / opts.maxFrequency));
+  const maxLag = Math.min(n - 1, Math.ceil(sampleRate / opts.minFrequency));
+  if (maxLag <= minLag) return NO_PITCH;
+
+  // NSDF: n(τ) = 2·r(τ) / m(τ), with m(τ) updated incrementally
+  const nsdf = new Float32Array(maxLag + 1);
+  let m = 0;
+  for (let i = 0; i < n; i++) m += 2 * buffer[i] * buffer[i];
+
+  for (let tau = 0; tau <= maxLag; tau++) {
+    if (tau > 0) {
+      m -= buffer[n - tau] * buffer[n - tau] + buffer[tau - 1] * buffer[tau - 1];
+    }
+    let r = 0;
+    for (let i = 0; i < n - tau; i++) {
+      r += buffer[i] * buffer[i + tau];
+    }
+    nsdf[tau] = m > 0 ? (2 * r) / m : 0;
+  }
+
+  // Collect the highest peak between each pair of positive-going
+  // and negative-going zero crossings ("key maxima")
+  const keyMaxima = [];
+  let tau = 1;
+  while (tau < maxLag && nsdf[tau] > 0) tau++; // skip the zero-lag lobe
+  while (tau < maxLag) {
+    while (tau < maxLag && nsdf[tau] <= 0) tau++;
+    let peak = -1;
+    while (tau < maxLag && nsdf[tau] > 0) {
+      if (tau >= minLag && (peak === -1 || nsdf[tau] > nsdf[peak])) peak = tau;
+      tau++;
+    }
+    if (peak !== -1) keyMaxima.push(peak);
+  }
+
+  if (keyMaxima.length === 0) return NO_PITCH;
+
+  let highest = 0;
+  for (const k of keyMaxima) highest = Math.max(highest, nsdf[k]);
+
+  const cutoff = opts.mcleodCutoff * highest;
+  const chosen = keyMaxima.find((k) => nsdf[k] >= cutoff);
+
+  const refinedTau = parabolicVertex(nsdf, chosen);
+  return {
+    frequency: sampleRate / refinedTau,
+    clarity: clamp01(nsdf[chosen]),
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  Streaming analysis                                        */
+/* ---------------------------------------------------------- */
+
+/**
+ * Sliding analysis window for a live sample stream. `append()` adds a
+ * block of new samples (e.g. one hop from shared/pitch-worklet.js) and
+ * `analyse()` returns the pitch of the latest `frameSize` samples, or
+ * null until the window is full; `push()` does both. Appending several
+ * blocks before one analysis skips the frames in between, which keeps a
+ * slow consumer from falling behind. Set `algorithm` on the returned
+ * object to switch detectors.
+ *
+ * @param {number} sampleRate
+ * @param {object} [options]
+ * @param {number} [options.frameSize=4096] - Window length in samples
+ * @param {"autocorrelation"|"yin"|"mcleod"} [options.algorithm]
+ * @returns {{
+ *   algorithm: string,
+ *   append(samples: Float32Array): void,
+ *   analyse(): ({ frequency: number, clarity: number, rms: number }|null),
+ *   push(samples: Float32Array): ({ frequency: number, clarity: number, rms: number }|null),
+ * }}
+ */
+export function createFrameAnalyser(sampleRate, { frameSize = DEFAULT_FRAME_SIZE, algorithm = DEFAULT_OPTIONS.algorithm } = {}) {
+  const frame = new Float32Array(frameSize);
+  let filled = 0;
+
+  return {
+    algorithm,
+    append(samples) {
+      const n = Math.min(samples.length, frameSize);
+      frame.copyWithin(0, n);
+      frame.set(samples.subarray(samples.length - n), frameSize - n);
+      filled = Math.min(frameSize, filled + n);
+    },
+    analyse() {
+      return filled === frameSize ? detectPitch(frame, sampleRate, { algorithm: this.algorithm }) : null;
+    },
+    push(samples) {
+      this.append(samples);
+      return this.analyse();
+    },
+  };
+}
+
+/**
+ * Build a handler for a stream of `{ samples, time }` blocks that only
+ * analyses the newest window. Blocks that arrive while an analysis is
+ * queued just extend the window, so when detection is slower than the
+ * stream, stale frames are dropped instead of piling up.
+ *
+ * @param {ReturnType<typeof createFrameAnalyser>} analyser
+ * @param {function} onFrame - Called with { frequency, clarity, rms, algorithm, time }
+ * @returns {function({ samples: Float32Array, time: number }): void}
+ */
+export function analyseLatestBlock(analyser, onFrame) {
+  let queued = false;
+  let latestTime = 0;
+
+  return ({ samples, time }) => {
+    analyser.append(samples);
+    latestTime = time;
+    if (queued) return;
+    queued = true;
+    setTimeout(() => {
+      queued = false;
+      const result = analyser.analyse();
+      if (result) onFrame({ ...result, algorithm: analyser.algorithm, time: latestTime });
+    }, 0);
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+/** Parabolic interpolation of the extremum (peak or trough) at `pos`. */
+function parabolicVertex(arr, pos) {
+  if (pos <= 0 || pos >= arr.length - 1) return pos;
+  const y1 = arr[pos - 1];
+  const y2 = arr[pos];
+  const y3 = arr[pos + 1];
+  const shift = (y3 - y1) / (2 * (2 * y2 - y1 - y3));
+  return pos + (isFinite(shift) ? shift : 0);
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+export { PITCH_ALGORITHMS, DEFAULT_OPTIONS as PITCH_DEFAULTS };
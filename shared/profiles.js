@@ -0,0 +1,256 @@
+/**
+ * Music Theory Games — Player Profiles
+ * shared/profiles.js
+ *
+ * Lets several players share one device. Each profile has a name,
+ * avatar and optional age, and every per-player storage key
+ * (leaderboards, preferences, ai.js skill tracking, strumming custom
+ * patterns, Skratch rules and workspaces) is namespaced through
+ * profileKey().
+ *
+ * The built-in "default" profile uses the original un-namespaced keys,
+ * so progress saved before profiles existed simply belongs to it.
+ * Other profiles append "__<id>" to every key.
+ */
+
+import { getItem, setItem, listKeys, removeItem, deleteAttempts } from "./storage.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const PROFILES_KEY = "mtt_profiles";
+const DEFAULT_PROFILE_ID = "default";
+const KEY_SEPARATOR = "__";
+const MAX_NAME_LENGTH = 30;
+const AGE_RANGE = [3, 99];
+
+const AVATARS = [
+  "\u{1F3B5}", "\u{1F3B8}", "\u{1F3B9}", "\u{1F3BA}", "\u{1F3BB}", "\u{1F941}",
+  "\u{1F3A4}", "\u{1F431}", "\u{1F436}", "\u{1F98A}", "\u{1F43C}", "\u{1F984}",
+];
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function defaultProfile() {
+  return {
+    id: DEFAULT_PROFILE_ID,
+    name: "Player",
+    avatar: AVATARS[0],
+    age: null,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/** Load the profile store, creating the default profile on first use. */
+function loadStore() {
+  const store = getItem(PROFILES_KEY);
+  if (store && Array.isArray(store.profiles) && store.profiles.length > 0) {
+    if (!store.profiles.some((p) => p.id === store.activeId)) {
+      store.activeId = store.profiles[0].id;
+    }
+    return store;
+  }
+  return { activeId: DEFAULT_PROFILE_ID, profiles: [defaultProfile()] };
+}
+
+function saveStore(store) {
+  setItem(PROFILES_KEY, store);
+}
+
+function cleanName(name) {
+  const trimmed = String(name ?? "").trim().slice(0, MAX_NAME_LENGTH);
+  if (!trimmed) throw new Error("Profile name cannot be empty");
+  return trimmed;
+}
+
+function cleanAge(age) {
+  if (age === null || age === undefined || age === "") return null;
+  const n = Number(age);
+  if (!Number.isInteger(n) || n < AGE_RANGE[0] || n > AGE_RANGE[1]) {
+    throw new Error(`Age must be a whole number from ${AGE_RANGE[0]} to ${AGE_RANGE[1]}`);
+  }
+  return n;
+}
+
+function cleanAvatar(avatar) {
+  return AVATARS.includes(avatar) ? avatar : AVATARS[0];
+}
+
+function generateId() {
+  return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/* ---------------------------------------------------------- */
+/*  Profiles                                                  */
+/* ---------------------------------------------------------- */
+
+/**
+ * List all profiles.
+ *
+ * @returns {Array<{ id: string, name: string, avatar: string, age: number|null, createdAt: string }>}
+ */
+export function getProfiles() {
+  return loadStore().profiles.map((p) => ({ ...p }));
+}
+
+/**
+ * Get the profile currently playing.
+ *
+ * @returns {{ id: string, name: string, avatar: string, age: number|null, createdAt: string }}
+ */
+export function getActiveProfile() {
+  const store = loadStore();
+  return { ...store.profiles.find((p) => p.id === store.activeId) };
+}
+
+/**
+ * Id of the profile currently playing.
+ *
+ * @returns {string}
+ */
+export function getActiveProfileId() {
+  return loadStore().activeId;
+}
+
+/**
+ * Create a profile. Does not switch to it.
+ *
+ * @param {object} fields
+ * @param {string} fields.name         - Display name (max 30 chars)
+ * @param {string} [fields.avatar]     - One of AVATARS
+ * @param {number|null} [fields.age]   - Optional age in years
+ * @returns {object} The new profile
+ */
+export function createProfile({ name, avatar, age = null } = {}) {
+  const store = loadStore();
+  const profile = {
+    id: generateId(),
+    name: cleanName(name),
+    avatar: cleanAvatar(avatar),
+    age: cleanAge(age),
+    createdAt: new Date().toISOString(),
+  };
+  store.profiles.push(profile);
+  saveStore(store);
+  return { ...profile };
+}
+
+/**
+ * Make a profile the active one.
+ *
+ * @param {string} id - Profile id
+ * @returns {object} The selected profile
+ */
+export function selectProfile(id) {
+  const store = loadStore();
+  const profile = store.profiles.find((p) => p.id === id);
+  if (!profile) throw new Error(`Unknown profile: "${id}"`);
+  store.activeId = id;
+  saveStore(store);
+  return { ...profile };
+}
+
+/**
+ * Rename a profile or change its avatar / age.
+ *
+ * @param {string} id      - Profile id
+ * @param {object} changes - Any of { name, avatar, age }
+ * @returns {object} The updated profile
+ */
+export function updateProfile(id, changes = {}) {
+  const store = loadStore();
+  const profile = store.profiles.find((p) => p.id === id);
+  if (!profile) throw new Error(`Unknown profile: "${id}"`);
+
+  if ("name" in changes) profile.name = cleanName(changes.name);
+  if ("avatar" in changes) profile.avatar = cleanAvatar(changes.avatar);
+  if ("age" in changes) profile.age = cleanAge(changes.age);
+
+  saveStore(store);
+  return { ...profile };
+}
+
+/**
+ * Delete a profile and all of its namespaced data. The default profile
+ * owns the legacy keys and cannot be deleted (rename it instead).
+ *
+ * @param {string} id - Profile id
+ */
+export function deleteProfile(id) {
+  if (id === DEFAULT_PROFILE_ID) {
+    throw new Error("The default profile cannot be deleted");
+  }
+  const store = loadStore();
+  const index = store.profiles.findIndex((p) => p.id === id);
+  if (index === -1) throw new Error(`Unknown profile: "${id}"`);
+
+  store.profiles.splice(index, 1);
+  if (store.activeId === id) store.activeId = store.profiles[0].id;
+  saveStore(store);
+
+  const suffix = `${KEY_SEPARATOR}${id}`;
+  listKeys()
+    .filter((key) => key.endsWith(suffix))
+    .forEach((key) => removeItem(key));
+  deleteAttempts({ profileId: id });
+
+  // Skratch rules and workspaces are still kept in localStorage
+  try {
+    const doomed = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.endsWith(suffix)) doomed.push(key);
+    }
+    doomed.forEach((key) => localStorage.removeItem(key));
+  } catch {
+    console.warn(`[profiles] Could not remove data for profile "${id}"`);
+  }
+}
+
+/* ---------------------------------------------------------- */
+/*  Key namespacing                                           */
+/* ---------------------------------------------------------- */
+
+/**
+ * Namespace a storage key for a profile (the active one by default).
+ *
+ * @param {string} key         - Base key, e.g. "mtt_ai_chords"
+ * @param {string} [profileId] - Defaults to the active profile
+ * @returns {string} e.g. "mtt_ai_chords" (default) or "mtt_ai_chords__p1x2y3"
+ */
+export function profileKey(key, profileId = getActiveProfileId()) {
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}${KEY_SEPARATOR}${profileId}`;
+}
+
+/* ---------------------------------------------------------- */
+/*  DOM helper                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Fill a <select> with the profiles and switch the active profile when
+ * the player picks another one.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {Function} [onChange] - Called with the newly active profile
+ */
+export function bindProfileSelect(select, onChange) {
+  const activeId = getActiveProfileId();
+  select.innerHTML = "";
+  getProfiles().forEach((p) => {
+    const opt = document.createElement("option");
+    opt.value = p.id;
+    opt.textContent = `${p.avatar} ${p.name}`;
+    if (p.id === activeId) opt.selected = true;
+    select.appendChild(opt);
+  });
+
+  select.onchange = () => {
+    const profile = selectProfile(select.value);
+    if (onChange) onChange(profile);
+  };
+}
+
+export { AVATARS, DEFAULT_PROFILE_ID };
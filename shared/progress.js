@@ -2,38 +2,21 @@
  * Music Theory Games — Progress & Leaderboard Module
  * shared/progress.js
  *
- * All persistence via localStorage. Exports pure functions for
+ * All persistence via shared/storage.js. Exports pure functions for
  * score tracking, leaderboard management, and user preferences.
+ * Leaderboards and preferences belong to the active player profile
+ * (see shared/profiles.js).
  */
 
+import { getActiveProfileId, profileKey } from "./profiles.js";
+import { getItem, setItem, removeItem } from "./storage.js";
+import { emitGameEvent, GAME_EVENTS } from "./events.js";
+
 const STORAGE_PREFIX = "mtt_";
-const LEADERBOARD_KEY = (game) => `${STORAGE_PREFIX}leaderboard_${game}`;
-const PREFS_KEY = `${STORAGE_PREFIX}prefs`;
+const LEADERBOARD_KEY = (game) => profileKey(`${STORAGE_PREFIX}leaderboard_${game}`);
+const PREFS_KEY = () => profileKey(`${STORAGE_PREFIX}prefs`);
 const MAX_LEADERBOARD_SIZE = 100;
 
-/* ---------------------------------------------------------- */
-/*  Internal helpers                                          */
-/* ---------------------------------------------------------- */
-
-function readJSON(key, fallback) {
-  try {
-    const raw = localStorage.getItem(key);
-    return raw ? JSON.parse(raw) : fallback;
-  } catch {
-    return fallback;
-  }
-}
-
-function writeJSON(key, value) {
-  try {
-    localStorage.setItem(key, JSON.stringify(value));
-    return true;
-  } catch {
-    console.warn(`[progress] Failed to write to localStorage key "${key}"`);
-    return false;
-  }
-}
-
 /* ---------------------------------------------------------- */
 /*  Score / Leaderboard                                       */
 /* ---------------------------------------------------------- */
@@ -42,20 +25,23 @@ function writeJSON(key, value) {
  * Save a score entry for a game.
  *
  * @param {string} game       - Game identifier (e.g. "harmony-intervals")
- * @param {string} playerName - Display name
+ * @param {string} playerName - Display name (usually the active profile's name)
  * @param {number} score      - Numeric score
  * @param {object} [metadata] - Optional extra data (difficulty, streak, etc.)
  * @returns {object}          - The saved entry
+ *
+ * Also emits a GAME_EVENTS.TEST_COMPLETE event (see shared/events.js).
  */
 export function saveScore(game, playerName, score, metadata = {}) {
   const entry = {
     playerName: playerName.trim().slice(0, 30),
+    profileId: getActiveProfileId(),
     score,
     date: new Date().toISOString(),
     metadata,
   };
 
-  const board = readJSON(LEADERBOARD_KEY(game), []);
+  const board = getItem(LEADERBOARD_KEY(game), []);
   board.push(entry);
 
   // Keep only top entries by score (descending), cap at MAX_LEADERBOARD_SIZE
@@ -64,7 +50,8 @@ export function saveScore(game, playerName, score, metadata = {}) {
     board.length = MAX_LEADERBOARD_SIZE;
   }
 
-  writeJSON(LEADERBOARD_KEY(game), board);
+  setItem(LEADERBOARD_KEY(game), board);
+  emitGameEvent(GAME_EVENTS.TEST_COMPLETE, { game, score, metadata });
   return entry;
 }
 
@@ -76,7 +63,7 @@ export function saveScore(game, playerName, score, metadata = {}) {
  * @returns {Array<object>} - Sorted score entries (highest first)
  */
 export function getLeaderboard(game, limit = 10) {
-  const board = readJSON(LEADERBOARD_KEY(game), []);
+  const board = getItem(LEADERBOARD_KEY(game), []);
   return board.slice(0, limit);
 }
 
@@ -86,11 +73,7 @@ export function getLeaderboard(game, limit = 10) {
  * @param {string} game - Game identifier
  */
 export function clearLeaderboard(game) {
-  try {
-    localStorage.removeItem(LEADERBOARD_KEY(game));
-  } catch {
-    // Ignore
-  }
+  removeItem(LEADERBOARD_KEY(game));
 }
 
 /**
@@ -101,7 +84,7 @@ export function clearLeaderboard(game) {
  * @returns {object}            - { totalGames, averageScore, bestScore, bestStreak }
  */
 export function getStats(game, playerName) {
-  let board = readJSON(LEADERBOARD_KEY(game), []);
+  let board = getItem(LEADERBOARD_KEY(game), []);
 
   if (playerName) {
     const normalized = playerName.trim().toLowerCase();
@@ -137,9 +120,9 @@ export function getStats(game, playerName) {
  * @param {*}      value - Any JSON-serializable value
  */
 export function savePreference(key, value) {
-  const prefs = readJSON(PREFS_KEY, {});
+  const prefs = getItem(PREFS_KEY(), {});
   prefs[key] = value;
-  writeJSON(PREFS_KEY, prefs);
+  setItem(PREFS_KEY(), prefs);
 }
 
 /**
@@ -150,7 +133,7 @@ export function savePreference(key, value) {
  * @returns {*}
  */
 export function getPreference(key, defaultValue = null) {
-  const prefs = readJSON(PREFS_KEY, {});
+  const prefs = getItem(PREFS_KEY(), {});
   return key in prefs ? prefs[key] : defaultValue;
 }
 
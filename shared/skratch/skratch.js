@@ -5,17 +5,18 @@
 
 import { VisualCanvas } from './visual-canvas.js';
 import { SkratchEditor } from './skratch-editor.js';
+import { profileKey } from '../profiles.js';
 
 const STORAGE_KEY = 'skratch-rules';
 
 /**
- * Load rules from localStorage, falling back to defaults.
+ * Load the active profile's rules from localStorage, falling back to defaults.
  * @param {Object<string, string>} defaultRules
  * @returns {Object<string, string>}
  */
 function loadRules(defaultRules) {
   try {
-    const stored = localStorage.getItem(STORAGE_KEY);
+    const stored = localStorage.getItem(profileKey(STORAGE_KEY));
     if (stored) return JSON.parse(stored);
   } catch { /* ignore */ }
   return { ...defaultRules };
@@ -27,7 +28,7 @@ function loadRules(defaultRules) {
  */
 function saveRules(rules) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    localStorage.setItem(profileKey(STORAGE_KEY), JSON.stringify(rules));
   } catch { /* ignore */ }
 }
 
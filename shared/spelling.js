@@ -0,0 +1,399 @@
+/**
+ * Music Theory Games — Pitch Spelling
+ * shared/spelling.js
+ *
+ * Letter + accidental model of note names so games can show correctly
+ * spelled notes ("Eb" in C minor, "A#" in B major) instead of the
+ * sharps-only NOTE_NAMES list. Pure functions, no DOM or audio.
+ *
+ * Notes are written in scientific pitch notation with ASCII accidentals:
+ *   "C4", "Bb3", "F#5", "Ebb4", "F##2"   ("x" is accepted for "##")
+ * The octave number follows the letter, so "B#3" sounds as C4 and
+ * "Cb4" sounds as B3.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+const LETTER_PITCH = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const ACCIDENTALS = { "bb": -2, "b": -1, "": 0, "#": 1, "##": 2 };
+const ACCIDENTAL_BY_OFFSET = { "-2": "bb", "-1": "b", "0": "", "1": "#", "2": "##" };
+
+// Major keys around the circle of fifths; index - 7 = sharps (+) / flats (-)
+const MAJOR_KEYS = [
+  "Cb", "Gb", "Db", "Ab", "Eb", "Bb", "F",
+  "C",
+  "G", "D", "A", "E", "B", "F#", "C#",
+];
+
+// Tonic spellings with the fewest accidentals, by pitch class
+const PREFERRED_MAJOR_TONICS = ["C", "Db", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+const PREFERRED_MINOR_TONICS = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "G#", "A", "Bb", "B"];
+
+// Generic interval number (1 = unison … 8 = octave) used when only a
+// semitone count is known. The tritone defaults to an augmented 4th.
+const DEFAULT_INTERVAL_NUMBERS = [1, 2, 2, 3, 3, 4, 4, 5, 6, 6, 7, 7, 8];
+
+// Chord-tone degrees by semitones above the root
+const CHORD_TONE_NUMBERS = {
+  0: 1, 1: 2, 2: 2, 3: 3, 4: 3, 5: 4, 6: 5, 7: 5, 8: 5, 9: 7, 10: 7, 11: 7,
+};
+
+// Interval qualities by offset from the major/perfect size
+const SIMPLE_SIZES = [0, 2, 4, 5, 7, 9, 11];
+const PERFECT_NUMBERS = [1, 4, 5];
+const PERFECT_QUALITIES = {
+  "-2": "Doubly Diminished", "-1": "Diminished", "0": "Perfect",
+  "1": "Augmented", "2": "Doubly Augmented",
+};
+const IMPERFECT_QUALITIES = {
+  "-3": "Doubly Diminished", "-2": "Diminished", "-1": "Minor", "0": "Major",
+  "1": "Augmented", "2": "Doubly Augmented",
+};
+const QUALITY_ABBREVIATIONS = {
+  "Doubly Diminished": "dd", "Diminished": "d", "Minor": "m", "Major": "M",
+  "Perfect": "P", "Augmented": "A", "Doubly Augmented": "AA",
+};
+
+const MODE_STEPS = {
+  major: [0, 2, 4, 5, 7, 9, 11],
+  minor: [0, 2, 3, 5, 7, 8, 10],
+};
+
+/* ---------------------------------------------------------- */
+/*  Parsing / formatting                                      */
+/* ---------------------------------------------------------- */
+
+/**
+ * Parse a note name, with or without an octave.
+ *
+ * @param {string} name - e.g. "Bb4", "F##", "c#3"
+ * @returns {{ letter: string, accidental: string, octave: number|null,
+ *             pitchClass: number, midi: number|null }}
+ */
+export function parseNote(name) {
+  const match = String(name).trim().match(/^([A-Ga-g])(##|x|#|bb|b)?(-?\d+)?$/);
+  if (!match) throw new Error(`Invalid note name: "${name}"`);
+
+  const letter = match[1].toUpperCase();
+  const accidental = match[2] === "x" ? "##" : (match[2] || "");
+  const octave = match[3] != null ? parseInt(match[3], 10) : null;
+  const semis = LETTER_PITCH[letter] + ACCIDENTALS[accidental];
+
+  return {
+    letter,
+    accidental,
+    octave,
+    pitchClass: ((semis % 12) + 12) % 12,
+    midi: octave != null ? (octave + 1) * 12 + semis : null,
+  };
+}
+
+/**
+ * Format a parsed note back to a string.
+ *
+ * @param {{ letter: string, accidental?: string, octave?: number|null }} note
+ * @returns {string}
+ */
+export function formatNote({ letter, accidental = "", octave = null }) {
+  return `${letter}${accidental}${octave != null ? octave : ""}`;
+}
+
+/**
+ * MIDI note number of a spelled note with octave.
+ *
+ * @param {string} name - e.g. "Eb4"
+ * @returns {number}
+ */
+export function noteToMidi(name) {
+  const { midi } = parseNote(name);
+  if (midi == null) throw new Error(`Note needs an octave: "${name}"`);
+  return midi;
+}
+
+/**
+ * Convert to the spelling Tone.js parses ("x" for double sharp).
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function toToneNote(name) {
+  return String(name).replace("##", "x");
+}
+
+/* ---------------------------------------------------------- */
+/*  Keys                                                      */
+/* ---------------------------------------------------------- */
+
+/**
+ * Normalize a key into { tonic, mode }. Accepts "Eb", "C minor",
+ * "A major", or an object that already has that shape.
+ *
+ * @param {string|{tonic: string, mode?: string}} key
+ * @returns {{ tonic: string, mode: "major"|"minor" }}
+ */
+export function parseKey(key) {
+  if (key && typeof key === "object") {
+    return { tonic: key.tonic, mode: key.mode === "minor" ? "minor" : "major" };
+  }
+  const [tonic, mode = "major"] = String(key).trim().split(/\s+/);
+  parseNote(tonic); // validate
+  return { tonic, mode: /^min/i.test(mode) ? "minor" : "major" };
+}
+
+/**
+ * Key signature of a key: positive = sharps, negative = flats.
+ *
+ * @param {string|object} key - See parseKey()
+ * @returns {number} e.g. -3 for "C minor", 2 for "D major"
+ */
+export function getKeySignature(key) {
+  const { tonic, mode } = parseKey(key);
+  const majorTonic = mode === "minor" ? transposeNote(tonic, 3, 3) : tonic;
+  const idx = MAJOR_KEYS.indexOf(majorTonic);
+  if (idx === -1) {
+    // Theoretical keys (e.g. D# major): count accidentals directly
+    return spellScale(majorTonic, "major").reduce(
+      (sum, n) => sum + ACCIDENTALS[parseNote(n).accidental], 0
+    );
+  }
+  return idx - 7;
+}
+
+/**
+ * The conventional tonic spelling for a pitch class in a mode
+ * ("Eb major" rather than "D# major").
+ *
+ * @param {number|string} pitchClassOrName - 0–11 or any note name
+ * @param {"major"|"minor"} [mode]
+ * @returns {string}
+ */
+export function preferredTonic(pitchClassOrName, mode = "major") {
+  const pc = typeof pitchClassOrName === "number"
+    ? ((pitchClassOrName % 12) + 12) % 12
+    : parseNote(pitchClassOrName).pitchClass;
+  return (mode === "minor" ? PREFERRED_MINOR_TONICS : PREFERRED_MAJOR_TONICS)[pc];
+}
+
+/* ---------------------------------------------------------- */
+/*  Spelling                                                  */
+/* ---------------------------------------------------------- */
+
+/**
+ * Spell a pitch in a key. Diatonic pitches take the key's letter;
+ * chromatic ones use sharps in sharp keys and flats in flat keys.
+ *
+ * @param {number} midiOrPitchClass - MIDI number (adds octave) or 0–11 with `octave: false`
+ * @param {string|object} [key]     - Key context (default C major)
+ * @param {object} [options]
+ * @param {boolean} [options.octave=true] - Treat the number as MIDI and include the octave
+ * @returns {string} e.g. "Eb4"
+ */
+export function spellNote(midiOrPitchClass, key = "C", { octave = true } = {}) {
+  const pc = ((midiOrPitchClass % 12) + 12) % 12;
+  const { tonic, mode } = parseKey(key);
+  const scale = spellScale(tonic, mode);
+
+  let spelled = scale.find((n) => parseNote(n).pitchClass === pc);
+  if (!spelled) {
+    const names = getKeySignature(key) < 0
+      ? ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"]
+      : ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+    spelled = names[pc];
+  }
+
+  if (!octave) return spelled;
+  const parsed = parseNote(spelled);
+  const letterOctave = Math.floor(
+    (midiOrPitchClass - ACCIDENTALS[parsed.accidental] - LETTER_PITCH[parsed.letter]) / 12
+  ) - 1;
+  return formatNote({ ...parsed, octave: letterOctave });
+}
+
+/**
+ * Re-spell an existing note name for a key (e.g. "A#4" → "Bb4" in F).
+ *
+ * @param {string} name - Note with octave
+ * @param {string|object} key
+ * @returns {string}
+ */
+export function respell(name, key) {
+  return spellNote(noteToMidi(name), key);
+}
+
+/**
+ * Transpose a spelled note by a generic interval number and a semitone
+ * count, keeping letter names correct (E + minor 3rd = G, not F##).
+ *
+ * @param {string} name      - Starting note, with or without octave
+ * @param {number} number    - Generic interval number (1 = unison, 3 = third, 9 = ninth…)
+ * @param {number} semitones - Exact size in semitones
+ * @returns {string}
+ */
+export function transposeNote(name, number, semitones) {
+  const start = parseNote(name);
+  const steps = number - 1;
+  const startIdx = LETTERS.indexOf(start.letter);
+  const letter = LETTERS[(startIdx + steps) % 7];
+  const octaveShift = Math.floor((startIdx + steps) / 7);
+
+  const naturalTarget = LETTER_PITCH[letter] + 12 * octaveShift;
+  const startSemis = LETTER_PITCH[start.letter] + ACCIDENTALS[start.accidental];
+  const offset = startSemis + semitones - naturalTarget;
+  const accidental = ACCIDENTAL_BY_OFFSET[offset];
+  if (accidental === undefined) {
+    throw new Error(`Cannot spell ${semitones} semitones as a ${number} above "${name}"`);
+  }
+
+  return formatNote({
+    letter,
+    accidental,
+    octave: start.octave != null ? start.octave + octaveShift : null,
+  });
+}
+
+/**
+ * Spell the upper note of an interval.
+ *
+ * @param {string} rootNote  - e.g. "E4"
+ * @param {number} semitones - Size above the root
+ * @param {number} [number]  - Generic number; defaults to the usual one for the size
+ * @returns {string} e.g. "G4"
+ */
+export function spellInterval(rootNote, semitones, number) {
+  const octaves = Math.floor(semitones / 12);
+  const simple = semitones - octaves * 12;
+  const generic = number ?? DEFAULT_INTERVAL_NUMBERS[simple] + octaves * 7;
+  return transposeNote(rootNote, generic, semitones);
+}
+
+/**
+ * Spell chord tones from a root. Tones above an octave keep their
+ * simple-interval letter (a 9th is spelled like a 2nd).
+ *
+ * @param {string}   rootNote  - e.g. "C4"
+ * @param {number[]} intervals - Semitones above the root, e.g. [0, 3, 7]
+ * @returns {string[]} e.g. ["C4", "Eb4", "G4"]
+ */
+export function spellChord(rootNote, intervals) {
+  return intervals.map((semitones) => {
+    const octaves = Math.floor(semitones / 12);
+    const simple = semitones - octaves * 12;
+    return transposeNote(rootNote, CHORD_TONE_NUMBERS[simple] + octaves * 7, semitones);
+  });
+}
+
+/**
+ * Spell a seven-note scale, one letter per degree.
+ *
+ * @param {string} tonic              - e.g. "F", "Eb3"
+ * @param {"major"|"minor"|number[]} [stepsOrMode] - Mode name or 7 semitone offsets
+ * @returns {string[]} e.g. ["F", "G", "A", "Bb", "C", "D", "E"]
+ */
+export function spellScale(tonic, stepsOrMode = "major") {
+  const steps = Array.isArray(stepsOrMode) ? stepsOrMode : MODE_STEPS[stepsOrMode];
+  if (!steps || steps.length !== 7) {
+    throw new Error(`Scale needs seven degrees: "${stepsOrMode}"`);
+  }
+  return steps.map((semitones, degree) => transposeNote(tonic, degree + 1, semitones));
+}
+
+/**
+ * Name the interval between two spelled notes using their letters,
+ * so E→G is a Minor 3rd and E→F## an Augmented 2nd.
+ *
+ * @param {string} lower - e.g. "E4"
+ * @param {string} upper - e.g. "G4"
+ * @returns {{ number: number, semitones: number, quality: string, name: string, short: string }}
+ */
+export function describeInterval(lower, upper) {
+  const a = parseNote(lower);
+  const b = parseNote(upper);
+  const octA = a.octave ?? 4;
+  let octB = b.octave ?? 4;
+
+  let steps = (LETTERS.indexOf(b.letter) + 7 * octB) - (LETTERS.indexOf(a.letter) + 7 * octA);
+  if (b.octave == null && steps < 0) {
+    octB++;
+    steps += 7;
+  }
+  const semitones = (octB + 1) * 12 + LETTER_PITCH[b.letter] + ACCIDENTALS[b.accidental]
+    - ((octA + 1) * 12 + LETTER_PITCH[a.letter] + ACCIDENTALS[a.accidental]);
+
+  return describeIntervalSize(steps + 1, semitones);
+}
+
+/**
+ * Quality and name of an interval given its generic number and size,
+ * e.g. (4, 6) → Augmented 4th, (5, 6) → Diminished 5th, (10, 16) → Major 10th.
+ *
+ * @param {number} number    - Generic number (1 = unison, 9 = ninth…)
+ * @param {number} semitones - Exact size in semitones
+ * @returns {{ number: number, semitones: number, quality: string, name: string, short: string }}
+ */
+export function describeIntervalSize(number, semitones) {
+  const steps = number - 1;
+  const simpleNumber = (steps % 7) + 1;
+  const octaves = Math.floor(steps / 7);
+  const diff = semitones - 12 * octaves - SIMPLE_SIZES[simpleNumber - 1];
+  const qualities = PERFECT_NUMBERS.includes(simpleNumber) ? PERFECT_QUALITIES : IMPERFECT_QUALITIES;
+  const quality = qualities[diff] || "Unknown";
+
+  let name = `${quality} ${ordinal(number)}`;
+  if (quality === "Perfect" && number === 1) name = "Unison";
+  if (quality === "Perfect" && number === 8) name = "Octave";
+  if (quality === "Perfect" && number === 15) name = "Double Octave";
+
+  return { number, semitones, quality, name, short: `${QUALITY_ABBREVIATIONS[quality] || "?"}${number}` };
+}
+
+/**
+ * Parse an interval name or abbreviation: "A4", "d5", "m10", "P12",
+ * "Augmented 4th", "Minor 9th", "Unison", "Octave", "Double Octave".
+ *
+ * @param {string} text
+ * @returns {{ number: number, semitones: number, quality: string, name: string, short: string }|null}
+ */
+export function parseInterval(text) {
+  const trimmed = String(text).trim();
+  const special = { unison: [1, 0], octave: [8, 12], "double octave": [15, 24] }[trimmed.toLowerCase()];
+  if (special) return describeIntervalSize(...special);
+
+  let quality;
+  let number;
+  const short = trimmed.match(/^(dd|AA|d|m|M|P|A)(\d+)$/);
+  if (short) {
+    quality = Object.keys(QUALITY_ABBREVIATIONS).find((q) => QUALITY_ABBREVIATIONS[q] === short[1]);
+    number = parseInt(short[2], 10);
+  } else {
+    const long = trimmed.match(/^(doubly diminished|doubly augmented|diminished|minor|major|perfect|augmented)\s+(\d+)(?:st|nd|rd|th)$/i);
+    if (!long) return null;
+    quality = Object.keys(QUALITY_ABBREVIATIONS).find((q) => q.toLowerCase() === long[1].toLowerCase());
+    number = parseInt(long[2], 10);
+  }
+  if (!(number >= 1)) return null;
+
+  const steps = number - 1;
+  const simpleNumber = (steps % 7) + 1;
+  const qualities = PERFECT_NUMBERS.includes(simpleNumber) ? PERFECT_QUALITIES : IMPERFECT_QUALITIES;
+  const diff = Object.keys(qualities).find((d) => qualities[d] === quality);
+  if (diff === undefined) return null;
+
+  const semitones = 12 * Math.floor(steps / 7) + SIMPLE_SIZES[simpleNumber - 1] + Number(diff);
+  if (semitones < 0) return null;
+  return describeIntervalSize(number, semitones);
+}
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function ordinal(n) {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  return `${n}${{ 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th"}`;
+}
+
+export { LETTERS, MAJOR_KEYS };
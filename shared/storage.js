@@ -0,0 +1,607 @@
+/**
+ * Music Theory Games — Storage Layer
+ * shared/storage.js
+ *
+ * Persistent key/value storage for every `mtt_*` key, plus an
+ * append-only log of individual practice attempts.
+ *
+ * Backends, in order of preference:
+ *   1. IndexedDB    — no practical size limit, keeps full attempt history
+ *   2. localStorage — used where IndexedDB is unavailable (some private
+ *                     browsing modes, file:// in older browsers)
+ *   3. memory       — nothing persists, but the games still run
+ *
+ * All key/value data is kept in memory, so getItem() stays synchronous
+ * and the existing progress/ai APIs did not have to become async. Pages
+ * do not wait for the database to open (up to OPEN_TIMEOUT_MS per
+ * attempt): the cache starts from a snapshot in localStorage and is
+ * replaced by the backend's data once `storageReady` resolves. Writes
+ * made before then are queued and applied on top. setItem() updates the
+ * in-memory copy immediately and returns a promise for the write; a
+ * failed write shows a banner on the page. Other tabs hear about each
+ * write over a BroadcastChannel, so a tab's copy never goes stale and
+ * overwrites newer data. Attempt queries are async because the log can
+ * grow to months of practice.
+ *
+ * On the first IndexedDB start-up, existing `mtt_*` localStorage keys
+ * are copied into the database and then removed from localStorage. From
+ * then on the page never falls back to localStorage: if the database
+ * cannot be opened, nothing is saved and the page says so. The snapshot
+ * is only ever read at start-up; IndexedDB remains the one place
+ * progress is saved.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const DB_NAME = "music-theory-games";
+const DB_VERSION = 1;
+const KV_STORE = "kv";
+const ATTEMPTS_STORE = "attempts";
+const META_STORE = "meta";
+const MIGRATED_FLAG = "migratedFromLocalStorage";
+const OPEN_TIMEOUT_MS = 1500;
+const OPEN_ATTEMPTS = 2;
+const CHANNEL_NAME = "music-theory-games-storage";
+
+const KEY_PREFIX = "mtt_";
+// Attempt log when falling back to localStorage (never exposed as a key)
+const FALLBACK_ATTEMPTS_KEY = "mtt__attempts";
+// Left in localStorage once its keys have moved to IndexedDB (never exposed as a key)
+const MIGRATED_MARKER = "mtt__migrated";
+// Copy of the IndexedDB key/value data that pages start from (never exposed as a key)
+const SNAPSHOT_KEY = "mtt__snapshot";
+// Queued in place of a value for keys removed before the backend is ready
+const REMOVED = Symbol("removed");
+
+const SAVE_ERROR = "Your progress could not be saved. The browser may be out of storage space.";
+const OPEN_ERROR = "Your saved progress could not be opened, and nothing you do now will be saved. " +
+  "Close any other tabs with these games and reload the page.";
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/** Wrap an IDBRequest in a promise. */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Resolve when a transaction commits. */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/** Parse a localStorage value, keeping non-JSON strings as they are. */
+function parseStored(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/** All `mtt_*` keys currently in localStorage, except this module's own bookkeeping. */
+function localStorageKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(KEY_PREFIX) && ![FALLBACK_ATTEMPTS_KEY, MIGRATED_MARKER, SNAPSHOT_KEY].includes(key)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+function markMigrated(date) {
+  try {
+    localStorage.setItem(MIGRATED_MARKER, date);
+  } catch {
+    // localStorage unavailable: there is nothing there to fall back to anyway
+  }
+}
+
+function hasMigrated() {
+  try {
+    return localStorage.getItem(MIGRATED_MARKER) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * What pages start from while the backend opens: the last IndexedDB
+ * snapshot, or else the keys still in localStorage (before migration,
+ * or when localStorage is the backend).
+ */
+function readSnapshot() {
+  try {
+    const raw = localStorage.getItem(SNAPSHOT_KEY);
+    if (raw !== null) return new Map(Object.entries(JSON.parse(raw)));
+    return new Map(localStorageKeys().map((key) => [key, parseStored(localStorage.getItem(key))]));
+  } catch {
+    return new Map();
+  }
+}
+
+/** Save the cache as the next page's starting point; a stale snapshot is removed, never kept. */
+function writeSnapshot(cache) {
+  try {
+    localStorage.setItem(SNAPSHOT_KEY, JSON.stringify(Object.fromEntries(cache)));
+  } catch {
+    console.warn("[storage] Could not save the start-up snapshot, the next page starts empty until IndexedDB opens");
+    try {
+      localStorage.removeItem(SNAPSHOT_KEY);
+    } catch {
+      // localStorage unavailable: there is no snapshot to go stale
+    }
+  }
+}
+
+/** Show a storage problem at the top of the page (styles in shared/styles.css). */
+function showStorageError(message) {
+  if (typeof document === "undefined" || !document.body) return;
+  let banner = document.querySelector(".storage-error");
+  if (!banner) {
+    banner = document.createElement("div");
+    banner.className = "storage-error";
+    banner.setAttribute("role", "alert");
+    document.body.prepend(banner);
+  }
+  banner.textContent = message;
+}
+
+function matchesQuery(attempt, { profileId, game, skill, since, until } = {}) {
+  if (profileId !== undefined && attempt.profileId !== profileId) return false;
+  if (game !== undefined && attempt.game !== game) return false;
+  if (skill !== undefined && attempt.skill !== skill) return false;
+  if (since !== undefined && attempt.timestamp < since) return false;
+  if (until !== undefined && attempt.timestamp >= until) return false;
+  return true;
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0;
+}
+
+/* ---------------------------------------------------------- */
+/*  IndexedDB backend                                         */
+/* ---------------------------------------------------------- */
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      reject(new Error("IndexedDB open timed out"));
+    }, OPEN_TIMEOUT_MS);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(KV_STORE);
+      db.createObjectStore(META_STORE);
+      const attempts = db.createObjectStore(ATTEMPTS_STORE, { keyPath: "id", autoIncrement: true });
+      attempts.createIndex("profileGame", ["profileId", "game"]);
+      attempts.createIndex("timestamp", "timestamp");
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Too late: the next attempt opens its own connection
+      if (timedOut) {
+        db.close();
+        return;
+      }
+      clearTimeout(timer);
+      // Let another tab upgrade the database instead of blocking it
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    request.onerror = () => {
+      clearTimeout(timer);
+      reject(request.error);
+    };
+    // Another tab holds an older version open; the open goes ahead once
+    // it closes, so keep waiting until the timeout
+    request.onblocked = () => {
+      console.warn("[storage] IndexedDB open is waiting for another tab to close the database");
+    };
+  });
+}
+
+/** Copy `mtt_*` localStorage keys into the database once, then drop them. */
+async function migrateFromLocalStorage(db) {
+  const tx = db.transaction([KV_STORE, META_STORE], "readwrite");
+  const done = transactionDone(tx);
+  const migrated = await promisify(tx.objectStore(META_STORE).get(MIGRATED_FLAG));
+  if (migrated) {
+    await done;
+    markMigrated(migrated);
+    return;
+  }
+
+  let keys = [];
+  try {
+    keys = localStorageKeys();
+  } catch {
+    // localStorage unavailable: nothing to migrate
+  }
+  const kv = tx.objectStore(KV_STORE);
+  const date = new Date().toISOString();
+  keys.forEach((key) => kv.put(parseStored(localStorage.getItem(key)), key));
+  tx.objectStore(META_STORE).put(date, MIGRATED_FLAG);
+  await done;
+
+  markMigrated(date);
+  keys.forEach((key) => localStorage.removeItem(key));
+  if (keys.length > 0) {
+    console.info(`[storage] Moved ${keys.length} localStorage keys to IndexedDB`);
+  }
+}
+
+async function createIndexedDBBackend() {
+  const db = await openDatabase();
+  await migrateFromLocalStorage(db);
+
+  // async so a closed connection rejects instead of throwing
+  async function run(storeName, mode, fn) {
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    return transactionDone(tx).then(() => result);
+  }
+
+  return {
+    name: "indexeddb",
+
+    async load() {
+      const tx = db.transaction(KV_STORE, "readonly");
+      const store = tx.objectStore(KV_STORE);
+      const [keys, values] = await Promise.all([
+        promisify(store.getAllKeys()),
+        promisify(store.getAll()),
+      ]);
+      return new Map(keys.map((key, i) => [key, values[i]]));
+    },
+
+    async write(key, value) {
+      try {
+        await run(KV_STORE, "readwrite", (store) => store.put(value, key));
+        return true;
+      } catch (err) {
+        console.warn(`[storage] Failed to write IndexedDB key "${key}"`, err);
+        return false;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await run(KV_STORE, "readwrite", (store) => store.delete(key));
+        return true;
+      } catch (err) {
+        console.warn(`[storage] Failed to remove IndexedDB key "${key}"`, err);
+        return false;
+      }
+    },
+
+    addAttempts(attempts) {
+      return run(ATTEMPTS_STORE, "readwrite", (store) => {
+        attempts.forEach((attempt) => store.add(attempt));
+      });
+    },
+
+    async getAttempts(query) {
+      const tx = db.transaction(ATTEMPTS_STORE, "readonly");
+      const store = tx.objectStore(ATTEMPTS_STORE);
+      const request = query.profileId !== undefined && query.game !== undefined
+        ? store.index("profileGame").getAll(IDBKeyRange.only([query.profileId, query.game]))
+        : store.getAll();
+      const all = await promisify(request);
+      return all.filter((a) => matchesQuery(a, query));
+    },
+
+    async deleteAttempts(query) {
+      const tx = db.transaction(ATTEMPTS_STORE, "readwrite");
+      const done = transactionDone(tx);
+      const store = tx.objectStore(ATTEMPTS_STORE);
+      const all = await promisify(store.getAll());
+      all.filter((a) => matchesQuery(a, query)).forEach((a) => store.delete(a.id));
+      await done;
+    },
+  };
+}
+
+/* ---------------------------------------------------------- */
+/*  localStorage / memory backends                            */
+/* ---------------------------------------------------------- */
+
+function createLocalStorageBackend() {
+  // Probe: throws in browsers where localStorage is blocked
+  localStorage.getItem(FALLBACK_ATTEMPTS_KEY);
+
+  let attempts = parseStored(localStorage.getItem(FALLBACK_ATTEMPTS_KEY)) || [];
+  let nextId = attempts.reduce((max, a) => Math.max(max, a.id), 0) + 1;
+
+  function saveAttempts() {
+    try {
+      localStorage.setItem(FALLBACK_ATTEMPTS_KEY, JSON.stringify(attempts));
+    } catch {
+      console.warn("[storage] Attempt history exceeds the localStorage quota");
+    }
+  }
+
+  return {
+    name: "localStorage",
+
+    async load() {
+      return new Map(localStorageKeys().map((key) => [key, parseStored(localStorage.getItem(key))]));
+    },
+
+    async write(key, value) {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+      } catch {
+        console.warn(`[storage] Failed to write to localStorage key "${key}"`);
+        return false;
+      }
+    },
+
+    async remove(key) {
+      try {
+        localStorage.removeItem(key);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async addAttempts(records) {
+      records.forEach((record) => attempts.push({ ...record, id: nextId++ }));
+      saveAttempts();
+    },
+
+    async getAttempts(query) {
+      return attempts.filter((a) => matchesQuery(a, query)).map(clone);
+    },
+
+    async deleteAttempts(query) {
+      attempts = attempts.filter((a) => !matchesQuery(a, query));
+      saveAttempts();
+    },
+  };
+}
+
+function createMemoryBackend() {
+  let attempts = [];
+  let nextId = 1;
+  return {
+    name: "memory",
+    async load() { return new Map(); },
+    async write() { return true; },
+    async remove() { return true; },
+    async addAttempts(records) {
+      records.forEach((record) => attempts.push({ ...record, id: nextId++ }));
+    },
+    async getAttempts(query) {
+      return attempts.filter((a) => matchesQuery(a, query)).map(clone);
+    },
+    async deleteAttempts(query) {
+      attempts = attempts.filter((a) => !matchesQuery(a, query));
+    },
+  };
+}
+
+async function openBackend() {
+  if (typeof indexedDB !== "undefined") {
+    for (let attempt = 1; attempt <= OPEN_ATTEMPTS; attempt++) {
+      try {
+        return await createIndexedDBBackend();
+      } catch (err) {
+        console.warn(`[storage] IndexedDB open failed (attempt ${attempt} of ${OPEN_ATTEMPTS})`, err);
+      }
+    }
+    // The progress lives in IndexedDB now: localStorage is empty, and
+    // writing there would split it across two stores
+    if (hasMigrated()) {
+      console.warn("[storage] IndexedDB unavailable after migration, progress will not be saved");
+      showStorageError(OPEN_ERROR);
+      return createMemoryBackend();
+    }
+    console.warn("[storage] IndexedDB unavailable, falling back to localStorage");
+  }
+  try {
+    return createLocalStorageBackend();
+  } catch {
+    console.warn("[storage] localStorage unavailable, progress will not be saved");
+    return createMemoryBackend();
+  }
+}
+
+const cache = readSnapshot();
+// Keys written or removed before the backend was ready, applied over its data
+const pending = new Map();
+let backend = null;
+let channel = null;
+
+async function start() {
+  let opened = await openBackend();
+  try {
+    // A memory backend has nothing to load: keep showing the snapshot
+    if (opened.name !== "memory") {
+      const loaded = await opened.load();
+      cache.clear();
+      loaded.forEach((value, key) => cache.set(key, value));
+      pending.forEach((value, key) => (value === REMOVED ? cache.delete(key) : cache.set(key, value)));
+    }
+  } catch (err) {
+    console.warn(`[storage] Failed to load saved data from ${opened.name}, progress will not be saved`, err);
+    showStorageError(OPEN_ERROR);
+    opened = createMemoryBackend();
+  }
+  pending.clear();
+  backend = opened;
+  if (backend.name === "indexeddb") writeSnapshot(cache);
+
+  /* Keep this tab's copy in step with writes made in other tabs. A memory
+     backend saves nothing, so it neither sends nor listens. */
+  if (backend.name !== "memory" && typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      if (data.type === "set") cache.set(data.key, data.value);
+      else if (data.type === "remove") cache.delete(data.key);
+    };
+  }
+}
+
+/**
+ * Resolves once the backend is open and the cache holds its data. Until
+ * then getItem() answers from the start-up snapshot; only code that must
+ * see exactly what is saved (such as a backup) needs to wait for it.
+ *
+ * @type {Promise<void>}
+ */
+export const storageReady = start();
+
+/** Run `fn` with the backend, waiting for it to open first. */
+async function withBackend(fn) {
+  if (!backend) await storageReady;
+  return fn(backend);
+}
+
+function broadcast(message) {
+  try {
+    channel?.postMessage(message);
+  } catch (err) {
+    console.warn("[storage] Failed to notify other tabs", err);
+  }
+}
+
+/* ---------------------------------------------------------- */
+/*  Key / value API                                           */
+/* ---------------------------------------------------------- */
+
+/**
+ * Read a stored value.
+ *
+ * @param {string} key - Storage key (e.g. "mtt_prefs")
+ * @param {*} [fallback=null] - Returned when the key is not set
+ * @returns {*} A copy of the stored value
+ */
+export function getItem(key, fallback = null) {
+  return cache.has(key) ? clone(cache.get(key)) : fallback;
+}
+
+/**
+ * Store a value. Takes effect immediately for getItem(); the returned
+ * promise settles once the backend has it. A failed write also shows a
+ * banner on the page, so callers need not handle it.
+ *
+ * @param {string} key - Storage key
+ * @param {*} value    - Any structured-cloneable value
+ * @returns {Promise<boolean>} false if the value could not be saved
+ */
+export async function setItem(key, value) {
+  const stored = clone(value);
+  cache.set(key, stored);
+  if (!backend) pending.set(key, stored);
+  const saved = await withBackend((b) => b.write(key, clone(stored)));
+  if (saved) {
+    broadcast({ type: "set", key, value: stored });
+    if (backend.name === "indexeddb") writeSnapshot(cache);
+  } else {
+    showStorageError(SAVE_ERROR);
+  }
+  return saved;
+}
+
+/**
+ * Delete a stored value.
+ *
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} false if the backend still has it
+ */
+export async function removeItem(key) {
+  cache.delete(key);
+  if (!backend) pending.set(key, REMOVED);
+  const removed = await withBackend((b) => b.remove(key));
+  if (removed) {
+    broadcast({ type: "remove", key });
+    if (backend.name === "indexeddb") writeSnapshot(cache);
+  }
+  return removed;
+}
+
+/**
+ * List stored keys.
+ *
+ * @param {string} [prefix] - Only keys starting with this
+ * @returns {string[]}
+ */
+export function listKeys(prefix = "") {
+  return [...cache.keys()].filter((key) => key.startsWith(prefix));
+}
+
+/* ---------------------------------------------------------- */
+/*  Attempt log                                               */
+/* ---------------------------------------------------------- */
+
+/**
+ * Append practice attempts to the history log.
+ *
+ * @param {Array<object>} attempts - { profileId, game, skill, timestamp (ISO string), ...details }
+ * @returns {Promise<void>}
+ */
+export function addAttempts(attempts) {
+  const records = attempts.map(clone);
+  return withBackend((b) => b.addAttempts(records)).catch((err) => {
+    console.warn("[storage] Failed to record attempt history", err);
+    showStorageError(SAVE_ERROR);
+  });
+}
+
+/**
+ * Query the attempt log. Every filter is optional.
+ *
+ * @param {object} [query]
+ * @param {string} [query.profileId]
+ * @param {string} [query.game]
+ * @param {string} [query.skill]
+ * @param {string} [query.since] - ISO timestamp, inclusive
+ * @param {string} [query.until] - ISO timestamp, exclusive
+ * @returns {Promise<Array<object>>} Matching attempts, oldest first
+ */
+export async function getAttempts(query = {}) {
+  const attempts = await withBackend((b) => b.getAttempts(query));
+  return attempts.sort(byTimestamp);
+}
+
+/**
+ * Delete attempts matching a query (all of them when the query is empty).
+ *
+ * @param {object} [query] - Same filters as getAttempts()
+ * @returns {Promise<void>}
+ */
+export function deleteAttempts(query = {}) {
+  return withBackend((b) => b.deleteAttempts(query));
+}
+
+/**
+ * Name of the backend in use: "indexeddb", "localStorage" or "memory".
+ *
+ * @returns {string|null} null until storageReady resolves
+ */
+export function getStorageBackend() {
+  return backend?.name ?? null;
+}
@@ -0,0 +1,155 @@
+/**
+ * Music Theory Games — Ask the Tutor Panel
+ * shared/tutor-panel.js
+ *
+ * An in-game panel where a player asks the tutor about the question in
+ * front of them: a "Give me a hint" button, and — when an AI tutor is
+ * configured — a box for typing follow-up questions. Replies come from
+ * ai.js askTutorAboutQuestion(), which falls back to template hints
+ * without a tutor.
+ *
+ * The conversation belongs to one question; games call reset() when
+ * they move on to the next one. Styles live in shared/styles.css.
+ */
+
+import { askTutorAboutQuestion, isAIAvailable } from "./ai.js";
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                 */
+/* ---------------------------------------------------------- */
+
+const HINT_REQUEST = "Can I have a hint?";
+const THINKING_TEXT = "Thinking...";
+const MAX_INPUT_LENGTH = 200;
+
+let panelCount = 0;
+
+/* ---------------------------------------------------------- */
+/*  Internal helpers                                          */
+/* ---------------------------------------------------------- */
+
+function createButton(className, text) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = text;
+  return button;
+}
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                */
+/* ---------------------------------------------------------- */
+
+/**
+ * Build the panel into a container. The panel starts collapsed behind
+ * an "Ask the tutor" button.
+ *
+ * @param {HTMLElement} container - Target element
+ * @param {object}   options
+ * @param {string}   options.game        - Game identifier (e.g. "harmony-training")
+ * @param {() => (import("./ai.js").TutorQuestion|null)} options.getQuestion
+ *   The question the player is on, or null when there is none
+ * @returns {{ reset: () => void }} Call reset() when the question changes
+ */
+export function createTutorPanel(container, { game, getQuestion }) {
+  let messages = [];
+  let busy = false;
+  const bodyId = `tutor-panel-body-${++panelCount}`;
+
+  container.innerHTML = "";
+  container.classList.add("tutor-panel");
+
+  const toggle = createButton("tutor-panel__toggle", "\u{1F4AC} Ask the tutor");
+  toggle.setAttribute("aria-expanded", "false");
+  toggle.setAttribute("aria-controls", bodyId);
+
+  const body = document.createElement("div");
+  body.className = "tutor-panel__body";
+  body.id = bodyId;
+  body.hidden = true;
+
+  const log = document.createElement("div");
+  log.className = "tutor-panel__log";
+  log.setAttribute("aria-live", "polite");
+
+  const hintButton = createButton("btn btn--secondary btn--small", "Give me a hint");
+  const controls = [hintButton];
+  body.append(log, hintButton);
+
+  // Typed questions need a real tutor; template hints can't answer them
+  if (isAIAvailable()) {
+    const form = document.createElement("form");
+    form.className = "tutor-panel__form";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "form-input tutor-panel__input";
+    input.maxLength = MAX_INPUT_LENGTH;
+    input.placeholder = "Ask about this question...";
+    input.setAttribute("aria-label", "Your question for the tutor");
+
+    const send = createButton("btn btn--primary btn--small", "Ask");
+    send.type = "submit";
+
+    form.append(input, send);
+    body.appendChild(form);
+    controls.push(input, send);
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const text = input.value.trim();
+      if (!text) return;
+      input.value = "";
+      ask(text);
+    });
+  }
+
+  container.append(toggle, body);
+
+  function addMessage(role, text) {
+    const message = document.createElement("div");
+    message.className = `tutor-panel__message tutor-panel__message--${role === "user" ? "player" : "tutor"}`;
+    message.textContent = text;
+    log.appendChild(message);
+    log.scrollTop = log.scrollHeight;
+    return message;
+  }
+
+  async function ask(text) {
+    const question = getQuestion();
+    if (busy || !question) return;
+    busy = true;
+    controls.forEach((el) => { el.disabled = true; });
+
+    // reset() may start a new conversation while this one waits
+    const conversation = messages;
+    conversation.push({ role: "user", content: text });
+    addMessage("user", text);
+    const pending = addMessage("assistant", THINKING_TEXT);
+    pending.classList.add("tutor-panel__message--pending");
+
+    try {
+      const reply = await askTutorAboutQuestion(game, question, conversation);
+      conversation.push({ role: "assistant", content: reply });
+      pending.textContent = reply;
+      pending.classList.remove("tutor-panel__message--pending");
+      log.scrollTop = log.scrollHeight;
+    } finally {
+      busy = false;
+      controls.forEach((el) => { el.disabled = false; });
+    }
+  }
+
+  toggle.addEventListener("click", () => {
+    body.hidden = !body.hidden;
+    toggle.setAttribute("aria-expanded", String(!body.hidden));
+  });
+  hintButton.addEventListener("click", () => ask(HINT_REQUEST));
+
+  return {
+    reset() {
+      messages = [];
+      log.innerHTML = "";
+    },
+  };
+}
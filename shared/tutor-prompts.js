@@ -0,0 +1,52 @@
+/**
+ * Music Theory Games — AI Tutor Prompts
+ * shared/tutor-prompts.js
+ *
+ * The tutor's system prompts, shared by the browser (shared/ai.js) and
+ * the tutor proxy (server/tutor-proxy.mjs). Pages only name a prompt and
+ * send the game context; the proxy builds the system prompt itself, so a
+ * page cannot replace the kid-safe persona. No browser or Node APIs here.
+ */
+
+/* ---------------------------------------------------------- */
+/*  Constants                                                  */
+/* ---------------------------------------------------------- */
+
+const TUTOR_PERSONA = "You are a friendly, encouraging music theory tutor for kids ages 8–12. ";
+const MAX_CONTEXT_CHARS = 2000;
+
+/**
+ * System prompts by name: "feedback" for post-session feedback, "chat"
+ * for questions about the current question.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const TUTOR_PROMPTS = Object.freeze({
+  feedback: TUTOR_PERSONA +
+    "Give brief, positive feedback on their practice session. " +
+    "Mention one specific strength and one area to keep working on. " +
+    "Use simple, enthusiastic language. Keep it to 2–3 short sentences.",
+  chat: TUTOR_PERSONA +
+    "The player is in the middle of a music game and is asking you about the question in front of them. " +
+    "Give hints and answer their questions in simple, enthusiastic language, in 1–3 short sentences. " +
+    "Song mnemonics are great for intervals. " +
+    "Only talk about music and the game; if they ask about anything else, kindly steer back to the music. " +
+    "Never ask for personal information.",
+});
+
+/* ---------------------------------------------------------- */
+/*  Public API                                                 */
+/* ---------------------------------------------------------- */
+
+/**
+ * Build a system prompt: the named prompt, then the game context (cut to
+ * MAX_CONTEXT_CHARS) after a blank line.
+ *
+ * @param {string} prompt     - A key of TUTOR_PROMPTS
+ * @param {string} [context]  - Game and player details (e.g. the current question)
+ * @returns {string|null} The system prompt, or null for an unknown prompt name
+ */
+export function buildTutorSystemPrompt(prompt, context = "") {
+  if (!Object.hasOwn(TUTOR_PROMPTS, prompt)) return null;
+  const extra = typeof context === "string" ? context.trim().slice(0, MAX_CONTEXT_CHARS) : "";
+  return extra ? `${TUTOR_PROMPTS[prompt]}\n\n${extra}` : TUTOR_PROMPTS[prompt];
+}
@@ -7,37 +7,13 @@
 // for all instrument types — we simply don't call triggerRelease() while sustain
 // is on, and each voice's oscillator keeps running independently.
 
-import { startPitchDetection, stopPitchDetection, frequencyToNote } from '../shared/audio.js';
-
-const SOUND_PRESETS = {
-  piano: {
-    options: {
-      oscillator: { type: 'triangle' },
-      envelope: { attack: 0.02, decay: 0.3, sustain: 0.3, release: 0.6 },
-    },
-  },
-  organ: {
-    options: {
-      oscillator: { type: 'fatsine', spread: 20, count: 3 },
-      envelope: { attack: 0.05, decay: 0.1, sustain: 0.95, release: 0.3 },
-    },
-    buildEffects() {
-      const dist = new Tone.Distortion(0.15);
-      const trem = new Tone.Tremolo(5.5, 0.35).start();
-      return [dist, trem];
-    },
-  },
-  synth: {
-    options: {
-      oscillator: { type: 'fatsawtooth', spread: 30, count: 3 },
-      envelope: { attack: 0.01, decay: 0.2, sustain: 0.5, release: 0.4 },
-    },
-    buildEffects() {
-      const filt = new Tone.Filter(2500, 'lowpass');
-      return [filt];
-    },
-  },
-};
+import {
+  startPitchDetection, stopPitchDetection, createNoteSegmenter, frequencyToNote,
+} from '../shared/audio.js';
+import { INSTRUMENTS, getInstrumentPreset } from '../shared/instruments.js';
+
+// Minimum detector clarity (0–1) before a mic frame counts as a note
+const MIC_MIN_CLARITY = 0.8;
 
 export class AudioBridge {
   constructor() {
@@ -49,9 +25,17 @@ export class AudioBridge {
     this._micActive = false;
     this._rafId = null;
     this._onNoteCallbacks = [];
-    this._lastDetectedNote = '--';
     this._soundType = 'piano';
 
+    // Mic notes fire `when_note_played` on segmented onsets, not per frame
+    this._segmenter = createNoteSegmenter({
+      onNoteStart: (event) => {
+        if (!this._micActive) return;
+        this.state.lastNotePlayed = event.note;
+        this._fireNoteCallbacks();
+      },
+    });
+
     // Sustain pedal state
     this._sustain = false;
     this._activeNotes = new Set();
@@ -81,7 +65,7 @@ export class AudioBridge {
     // Dispose all existing voices, effects, and output bus
     this._disposeAll();
 
-    const preset = SOUND_PRESETS[this._soundType] || SOUND_PRESETS.piano;
+    const preset = getInstrumentPreset(this._soundType);
     this._voiceOptions = preset.options;
 
     // Shared output bus — all per-note voices connect here
@@ -134,7 +118,7 @@ export class AudioBridge {
   }
 
   setSoundType(type) {
-    if (!SOUND_PRESETS[type] || type === this._soundType) return;
+    if (!INSTRUMENTS[type] || type === this._soundType) return;
     this._soundType = type;
     if (this._toneStarted) {
       this.releaseAll();
@@ -240,41 +224,36 @@ export class AudioBridge {
     if (this._micActive) return;
     await this.ensureTone();
     this._micActive = true;
+    this._segmenter.reset();
 
     // Use shared/audio.js pitch detection
-    await startPitchDetection((freq, noteInfo) => {
+    await startPitchDetection((freq, noteInfo, frame) => {
       if (!this._micActive) return;
 
       if (freq > 0 && noteInfo) {
-        const noteName = noteInfo.fullName;
         this.state.currentPitch = Math.round(freq);
-        this.state.currentNoteName = noteName;
+        this.state.currentNoteName = noteInfo.fullName;
         this.state.noteIsPlaying = true;
         this.state.currentVolume = 70;
-
-        if (noteName !== this._lastDetectedNote) {
-          this._lastDetectedNote = noteName;
-          this.state.lastNotePlayed = noteName;
-          this._fireNoteCallbacks();
-        }
       } else {
         this.state.currentPitch = 0;
         this.state.currentNoteName = '--';
         this.state.noteIsPlaying = false;
         this.state.currentVolume = 0;
-        this._lastDetectedNote = '--';
       }
-    });
+
+      this._segmenter.push(freq, noteInfo, frame);
+    }, { minClarity: MIC_MIN_CLARITY });
   }
 
   stopMic() {
     this._micActive = false;
     stopPitchDetection();
+    this._segmenter.reset();
     this.state.currentPitch = 0;
     this.state.currentNoteName = '--';
     this.state.noteIsPlaying = false;
     this.state.currentVolume = 0;
-    this._lastDetectedNote = '--';
   }
 
   onNotePlayed(callback) {
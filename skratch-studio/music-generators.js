@@ -1,5 +1,7 @@
 // music-generators.js — JS code generators for music blocks (clean Tone.js output)
 
+import { preferredTonic, spellChord, spellScale, toToneNote } from '../shared/spelling.js';
+
 // Chord definitions — matches chords/index.html
 // Major = root + major 3rd (4 semitones) + perfect 5th (7 semitones)
 // Minor = root + minor 3rd (3 semitones) + perfect 5th (7 semitones)
@@ -10,22 +12,13 @@ const CHORD_INTERVALS = {
   diminished: [0, 3, 6],
 };
 
-const NOTE_SEMITONES = {
-  'C': 0, 'C#': 1, 'D': 2, 'D#': 3, 'E': 4, 'F': 5,
-  'F#': 6, 'G': 7, 'G#': 8, 'A': 9, 'A#': 10, 'B': 11,
-};
-
-const SEMITONE_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-
+// Chords and scales are spelled by shared/spelling.js. Roots are first
+// respelled to the conventional tonic (A# major -> Bb major) so the
+// generated code never needs double sharps; toToneNote() covers the rest.
 function buildChordNotes(root, quality, octave) {
   const intervals = CHORD_INTERVALS[quality] || CHORD_INTERVALS.major;
-  const rootSemitone = NOTE_SEMITONES[root] || 0;
-
-  return intervals.map(interval => {
-    const semitone = (rootSemitone + interval) % 12;
-    const oct = octave + Math.floor((rootSemitone + interval) / 12);
-    return `${SEMITONE_NOTES[semitone]}${oct}`;
-  });
+  const tonic = preferredTonic(root, quality === 'major' ? 'major' : 'minor');
+  return spellChord(`${tonic}${octave}`, intervals).map(toToneNote);
 }
 
 // Drum pattern presets — each returns array of {instrument, time} events
@@ -125,13 +118,8 @@ const BASS_PATTERN_GENERATORS = {
 };
 
 function buildScaleNotes(key, octave) {
-  const majorIntervals = [0, 2, 4, 5, 7, 9, 11];
-  const rootSemitone = NOTE_SEMITONES[key] || 0;
-  return majorIntervals.map(interval => {
-    const semitone = (rootSemitone + interval) % 12;
-    const oct = octave + Math.floor((rootSemitone + interval) / 12);
-    return `${SEMITONE_NOTES[semitone]}${oct}`;
-  });
+  const tonic = preferredTonic(key, 'major');
+  return spellScale(`${tonic}${octave}`, 'major').map(toToneNote);
 }
 
 // Track measure offset for sections — the generator uses this to offset times
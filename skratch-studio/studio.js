@@ -8,7 +8,11 @@ import { MusicEngine } from './music-engine.js';
 import { Sandbox } from './sandbox.js';
 import { AudioBridge } from './audio-bridge.js';
 import { Piano } from './piano.js';
+import { profileKey } from '../shared/profiles.js';
+import { emitGameEvent, GAME_EVENTS } from '../shared/events.js';
+import { initAchievements } from '../shared/achievements.js';
 
+// Workspaces are saved per player profile
 const STORAGE_KEY = 'skratch-studio-workspace';
 
 // --- Helper: build a chain of next-linked blocks for JSON serialization ---
@@ -441,6 +445,8 @@ const BEAT_SYNCED_BLOCKS = new Set([
 ]);
 
 export function init() {
+  initAchievements();
+
   // Register custom blocks and generators (visual + music)
   registerBlocks();
   registerGenerators();
@@ -570,7 +576,7 @@ export function init() {
     if (!confirm('Are you sure? This will clear all blocks.')) return;
     workspace.clear();
     updateCodePreview();
-    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(profileKey(STORAGE_KEY));
   });
 
   // Clear Canvas button — resets canvas and stops audio/Transport
@@ -721,6 +727,7 @@ async function handlePlay() {
   // Always run visual sandbox (it handles visual-only code fine)
   sandbox.run(code);
   sandbox.startLoop();
+  emitGameEvent(GAME_EVENTS.PROGRAM_RUN, { hasMusic });
 
   // If music code is present, schedule it via MusicEngine
   if (hasMusic) {
@@ -971,7 +978,7 @@ function loadStarterProgram(key) {
 function saveWorkspace() {
   try {
     const state = Blockly.serialization.workspaces.save(workspace);
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    localStorage.setItem(profileKey(STORAGE_KEY), JSON.stringify(state));
   } catch (e) {
     // localStorage might be unavailable
   }
@@ -979,7 +986,7 @@ function saveWorkspace() {
 
 function loadWorkspace() {
   try {
-    const saved = localStorage.getItem(STORAGE_KEY);
+    const saved = localStorage.getItem(profileKey(STORAGE_KEY));
     if (!saved) return false;
     const state = JSON.parse(saved);
     if (!state || typeof state !== 'object') return false;
@@ -988,7 +995,7 @@ function loadWorkspace() {
     return true;
   } catch (e) {
     // Clear invalid saved data (e.g. old XML format)
-    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(profileKey(STORAGE_KEY));
     return false;
   }
 }
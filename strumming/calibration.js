@@ -13,6 +13,8 @@
  * strums because the pick strikes the thicker (lower-pitched) strings first.
  */
 
+import { getItem, setItem, removeItem } from '../shared/storage.js';
+
 /* ---------------------------------------------------------- */
 /*  Constants                                                  */
 /* ---------------------------------------------------------- */
@@ -87,7 +89,7 @@ export function computeLowHighRatio(freqBuffer, sampleRate, fftSize, cutoffHz =
 }
 
 /* ---------------------------------------------------------- */
-/*  localStorage Persistence                                   */
+/*  Persistence                                                */
 /* ---------------------------------------------------------- */
 
 /**
@@ -104,16 +106,11 @@ export function computeLowHighRatio(freqBuffer, sampleRate, fftSize, cutoffHz =
  */
 
 /**
- * Retrieve saved calibration data from localStorage.
+ * Retrieve saved calibration data.
  * @returns {CalibrationData|null}
  */
 export function getCalibrationData() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    return raw ? JSON.parse(raw) : null;
-  } catch {
-    return null;
-  }
+  return getItem(STORAGE_KEY);
 }
 
 /**
@@ -128,11 +125,7 @@ export function hasCalibration() {
  * Remove saved calibration data.
  */
 export function clearCalibration() {
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-  } catch {
-    // Ignore
-  }
+  removeItem(STORAGE_KEY);
 }
 
 /* ---------------------------------------------------------- */
@@ -286,9 +279,7 @@ export async function runCalibration(audioCtx, analyser, callbacks, signal) {
     };
 
     // Persist
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-    } catch {
+    if (!(await setItem(STORAGE_KEY, data))) {
       console.warn('[calibration] Failed to save calibration data');
     }
 
@@ -22,6 +22,7 @@ import {
   computeSpectralCentroid,
   computeLowHighRatio,
 } from './calibration.js';
+import { getItem, setItem, removeItem } from '../shared/storage.js';
 
 /* ---------------------------------------------------------- */
 /*  Constants (tunable)                                       */
@@ -34,12 +35,10 @@ const LATENCY_STORAGE_KEY = 'mtt_strumming_latency_ms';
 // One-time cleanup: clear any previously auto-detected latency values that
 // included human reaction time (~350ms) and grossly over-corrected timing.
 // The new approach uses a manual timing offset slider (default 0).
-try {
-  const old = localStorage.getItem(LATENCY_STORAGE_KEY);
-  if (old !== null && parseFloat(old) > 100) {
-    localStorage.removeItem(LATENCY_STORAGE_KEY);
-  }
-} catch { /* ignore */ }
+const oldLatency = getItem(LATENCY_STORAGE_KEY);
+if (oldLatency !== null && parseFloat(oldLatency) > 100) {
+  removeItem(LATENCY_STORAGE_KEY);
+}
 
 let latencyCompensationMs = loadLatencyCompensation();
 
@@ -168,15 +167,13 @@ export function setDetectionBpm(bpm) {
 }
 
 /**
- * Set audio latency compensation and persist to localStorage.
+ * Set audio latency compensation and persist it.
  *
  * @param {number} ms - Latency in milliseconds to subtract from onset timestamps
  */
 export function setLatencyCompensation(ms) {
   latencyCompensationMs = ms;
-  try {
-    localStorage.setItem(LATENCY_STORAGE_KEY, String(ms));
-  } catch { /* localStorage unavailable */ }
+  setItem(LATENCY_STORAGE_KEY, ms);
 }
 
 /**
@@ -193,18 +190,16 @@ export function getLatencyCompensation() {
 /* ---------------------------------------------------------- */
 
 /**
- * Load latency compensation from localStorage.
+ * Load saved latency compensation.
  *
  * @returns {number} Saved latency in ms, or 0 if not set
  */
 function loadLatencyCompensation() {
-  try {
-    const val = localStorage.getItem(LATENCY_STORAGE_KEY);
-    if (val !== null) {
-      const parsed = parseFloat(val);
-      return Number.isFinite(parsed) ? parsed : 0;
-    }
-  } catch { /* localStorage unavailable */ }
+  const val = getItem(LATENCY_STORAGE_KEY);
+  if (val !== null) {
+    const parsed = parseFloat(val);
+    return Number.isFinite(parsed) ? parsed : 0;
+  }
   return 0;
 }
 
@@ -5,10 +5,14 @@
  * Defines strumming patterns as eighth-note grids (8 slots per measure of 4/4).
  * Each slot is either 'D' (downstroke), 'U' (upstroke), or '-' (rest/skip).
  *
- * Data model supports user-created custom patterns stored in localStorage.
+ * Data model supports user-created custom patterns stored through
+ * shared/storage.js, kept separately for each player profile.
  * Custom pattern UI is planned for a future task.
  */
 
+import { profileKey } from "../shared/profiles.js";
+import { getItem, setItem } from "../shared/storage.js";
+
 /* ---------------------------------------------------------- */
 /*  Built-in Patterns                                         */
 /* ---------------------------------------------------------- */
@@ -73,27 +77,22 @@ export const BUILT_IN_PATTERNS = [
 ];
 
 /* ---------------------------------------------------------- */
-/*  Custom Pattern Storage (localStorage)                     */
+/*  Custom Pattern Storage                                    */
 /* ---------------------------------------------------------- */
 
 const CUSTOM_PATTERNS_KEY = "mtt_strumming_custom_patterns";
 
 /**
- * Get all custom patterns from localStorage.
+ * Get all custom patterns for the active profile.
  *
  * @returns {StrumPattern[]}
  */
 export function getCustomPatterns() {
-  try {
-    const raw = localStorage.getItem(CUSTOM_PATTERNS_KEY);
-    return raw ? JSON.parse(raw) : [];
-  } catch {
-    return [];
-  }
+  return getItem(profileKey(CUSTOM_PATTERNS_KEY), []);
 }
 
 /**
- * Save a custom pattern to localStorage.
+ * Save a custom pattern for the active profile.
  *
  * @param {StrumPattern} pattern - Pattern to save (id will be auto-generated if missing)
  * @returns {StrumPattern} The saved pattern
@@ -115,11 +114,9 @@ export function saveCustomPattern(pattern) {
     patterns.push(toSave);
   }
 
-  try {
-    localStorage.setItem(CUSTOM_PATTERNS_KEY, JSON.stringify(patterns));
-  } catch {
-    console.warn("[patterns] Failed to save custom pattern");
-  }
+  setItem(profileKey(CUSTOM_PATTERNS_KEY), patterns).then((saved) => {
+    if (!saved) console.warn("[patterns] Failed to save custom pattern");
+  });
 
   return toSave;
 }
@@ -131,11 +128,7 @@ export function saveCustomPattern(pattern) {
  */
 export function deleteCustomPattern(id) {
   const patterns = getCustomPatterns().filter((p) => p.id !== id);
-  try {
-    localStorage.setItem(CUSTOM_PATTERNS_KEY, JSON.stringify(patterns));
-  } catch {
-    // Ignore
-  }
+  setItem(profileKey(CUSTOM_PATTERNS_KEY), patterns);
 }
 
 /**